@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { sceneManifest, getSourcesByRole, SOURCE_ROLES } from '../src/systems/SceneManifest.js'
+import { NodeAnimationExtractor } from './lib/NodeAnimationExtractor.js'
+import { createGeometryGLB } from './lib/modelGeometry.js'
+
+/**
+ * 离线烘焙动画缓存和显示用模型
+ * 按场景清单从public目录的GLB中提取全部动画，写入动画缓存JSON（运行时在清单animationCache中启用后直接读取，无需下载GLB）；
+ * 同时从v6模型中只保留环网格组和道具，写出清单model.url指向的显示用GLB（场景不再下载完整的v6模型）
+ *
+ * 用法: npm run bake [-- --public public --out public/animation-cache.json --model-out public/LOST_cut2_v6-geometry.glb]
+ *
+ * 任一动画源提取失败、出现错误级别的诊断或v6模型缺少环网格组时以退出码1结束，不写出任何文件
+ */
+const { values: options } = parseArgs({
+  options: {
+    public: { type: 'string', default: 'public' },
+    out: { type: 'string' },
+    'model-out': { type: 'string' }
+  }
+})
+
+const publicDir = path.resolve(options.public)
+const outFile = options.out
+  ? path.resolve(options.out)
+  : path.join(publicDir, (sceneManifest.animationCache || '/animation-cache.json').replace(/^\//, ''))
+
+const extractor = new NodeAnimationExtractor({ ...sceneManifest, animationCache: null }, { publicDir })
+await extractor.initialize()
+
+const failures = extractor.getExtractionFailures()
+
+// 显示用模型取自v6动画源；model.url仍指向v6模型本身时不覆盖源文件
+const [introSource] = getSourcesByRole(sceneManifest, SOURCE_ROLES.INTRO)
+const modelFile = options['model-out']
+  ? path.resolve(options['model-out'])
+  : extractor.resolveAssetPath(sceneManifest.model.url)
+const sourceFile = introSource && extractor.resolveAssetPath(introSource.url)
+let geometry = null
+
+if (!sourceFile) {
+  failures.push('No intro source to take the ring geometry from')
+} else if (modelFile === sourceFile) {
+  console.warn(`⚠️ model.url points at the v6 source ${introSource.url}, not writing a geometry-only model`)
+} else {
+  try {
+    const file = await readFile(sourceFile)
+    geometry = createGeometryGLB(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength), sceneManifest)
+    geometry.missingMeshGroups.forEach(meshGroup => failures.push(`${introSource.url} has no "${meshGroup}" mesh group`))
+  } catch (error) {
+    failures.push(`Could not read ring geometry from ${introSource.url}: ${error.message}`)
+  }
+}
+
+if (failures.length > 0) {
+  console.error(`❌ Not writing ${outFile}${geometry ? ` or ${modelFile}` : ''}, baking failed:`)
+  failures.forEach(failure => console.error(`   - ${failure}`))
+  process.exit(1)
+}
+
+const cache = extractor.exportAnimationCache()
+const json = JSON.stringify(cache)
+await writeFile(outFile, json)
+console.log(`✅ Baked animation cache: ${outFile} (${(json.length / 1024).toFixed(1)} KB, ${extractor.getDuration().toFixed(2)}s timeline)`)
+
+if (geometry) {
+  await writeFile(modelFile, new Uint8Array(geometry.glb))
+  console.log(`✅ Wrote geometry-only model: ${modelFile} (${(geometry.glb.byteLength / 1024 / 1024).toFixed(1)} MB, ${geometry.meshNodes.length} mesh nodes)`)
+}
+
+if (!sceneManifest.animationCache) {
+  const cacheUrl = `/${path.relative(publicDir, outFile).split(path.sep).join('/')}`
+  console.log(`ℹ️ Set "animationCache": "${cacheUrl}" in src/config/sceneManifest.json to load animations from the cache`)
+}
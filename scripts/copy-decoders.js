@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import { copyFile, mkdir } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+
+/**
+ * 复制解码器
+ * 把three自带的Draco解码器和Basis(KTX2)转码器复制到public/decoders，
+ * 使场景在没有外网的环境（展台、CI）中也能加载压缩过的GLB
+ *
+ * 用法: npm run decoders [-- --public public]
+ * npm install 和 npm run build 会自动执行
+ */
+const { values: options } = parseArgs({
+  options: {
+    public: { type: 'string', default: 'public' }
+  }
+})
+
+const threeLibs = fileURLToPath(new URL('../node_modules/three/examples/jsm/libs/', import.meta.url))
+const decodersDir = path.join(path.resolve(options.public), 'decoders')
+
+const DECODERS = {
+  draco: {
+    from: 'draco/gltf',
+    files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+  },
+  basis: {
+    from: 'basis',
+    files: ['basis_transcoder.js', 'basis_transcoder.wasm']
+  }
+}
+
+for (const [name, { from, files }] of Object.entries(DECODERS)) {
+  const outDir = path.join(decodersDir, name)
+  await mkdir(outDir, { recursive: true })
+  await Promise.all(files.map(file => copyFile(path.join(threeLibs, from, file), path.join(outDir, file))))
+  console.log(`✅ ${name}: ${files.length} files → ${path.relative(process.cwd(), outDir)}`)
+}
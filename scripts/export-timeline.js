@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { sceneManifest } from '../src/systems/SceneManifest.js'
+import { CameraPoseLibrary } from '../src/systems/CameraPoses.js'
+import { DEFAULT_BAKE_FPS, collectRingGeometry, exportTimelineGLB } from '../src/systems/TimelineExport.js'
+import { NodeAnimationExtractor } from './lib/NodeAnimationExtractor.js'
+
+/**
+ * 导出烘焙的完整时间线
+ * 按帧率采样运行时合成的动画（v6开场、相机过渡、Scenes B、结尾修饰器），写成一个GLB：
+ * 相机和三个环节点由同一个动画clip驱动，环节点包含v6模型中网格组的几何体，供原生应用和视频团队在其他引擎中播放
+ *
+ * 用法: npm run export-timeline [-- --fps 60 --out timeline.glb --poses camera-poses.json --public public]
+ *   --poses        机位面板导出的JSON，按其中的机位指定覆盖清单机位（与浏览器中看到的一致）
+ *   --no-geometry  环导出为空节点（v6模型为Draco压缩时Node中无法读取几何体，可改用此选项或在浏览器中导出）
+ *
+ * 任一动画源提取失败、出现错误级别的诊断或无法读取环几何体时以退出码1结束，不写出文件
+ */
+const { values: options } = parseArgs({
+  options: {
+    public: { type: 'string', default: 'public' },
+    out: { type: 'string', default: 'timeline.glb' },
+    fps: { type: 'string', default: String(DEFAULT_BAKE_FPS) },
+    poses: { type: 'string' },
+    'no-geometry': { type: 'boolean', default: false }
+  }
+})
+
+const fps = Number(options.fps)
+if (!(fps > 0)) {
+  console.error(`❌ Invalid --fps ${options.fps}`)
+  process.exit(1)
+}
+
+const extractor = new NodeAnimationExtractor(
+  { ...sceneManifest, animationCache: null },
+  { publicDir: path.resolve(options.public) }
+)
+await extractor.initialize()
+
+const failures = extractor.getExtractionFailures()
+if (failures.length > 0) {
+  console.error('❌ Not exporting the timeline, extraction failed:')
+  failures.forEach(failure => console.error(`   - ${failure}`))
+  process.exit(1)
+}
+
+if (options.poses) {
+  const library = new CameraPoseLibrary(null)
+  library.importJSON(await readFile(path.resolve(options.poses), 'utf8'))
+  extractor.setCameraShotOverrides(library.getShotOverrides())
+}
+
+let ringGeometry = null
+if (!options['no-geometry']) {
+  try {
+    ringGeometry = collectRingGeometry(await extractor.loadModel(), extractor.manifest)
+  } catch (error) {
+    console.error(`❌ Cannot read ring geometry from ${extractor.manifest.model.url}: ${error.message}`)
+    if (error.code === 'ENOENT') console.error('   Run npm run bake first to create the geometry-only model')
+    console.error('   Use Export Timeline GLB in the browser, or pass --no-geometry to export empty ring nodes')
+    process.exit(1)
+  }
+
+  const missing = Object.keys(extractor.manifest.rings).filter(ringId => !ringGeometry[ringId])
+  if (missing.length > 0) {
+    console.error(`❌ ${extractor.manifest.model.url} has no mesh group for ${missing.join(', ')}`)
+    process.exit(1)
+  }
+}
+
+const outFile = path.resolve(options.out)
+const glb = exportTimelineGLB(extractor, { fps, ringGeometry })
+await writeFile(outFile, new Uint8Array(glb))
+
+console.log(`✅ Exported baked timeline: ${outFile} (${(glb.byteLength / 1024).toFixed(1)} KB, ${extractor.getDuration().toFixed(2)}s at ${fps}fps${ringGeometry ? '' : ', empty ring nodes'})`)
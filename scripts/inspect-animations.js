@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import { writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { sceneManifest } from '../src/systems/SceneManifest.js'
+import { NodeAnimationExtractor } from './lib/NodeAnimationExtractor.js'
+import { buildSourceReport, formatReport, SOURCE_STATUS } from './lib/animationReport.js'
+
+/**
+ * 动画检查工具
+ * 在Node中运行与浏览器相同的提取逻辑，逐个动画源列出clip、轨道、关键帧数、时长和插值模式
+ *
+ * 用法:
+ *   npm run inspect                          按场景清单检查public目录中的所有动画源
+ *   npm run inspect -- path/to/file.glb ...  直接检查指定的GLB文件
+ *   npm run inspect -- --json report.json    同时把报告写入JSON
+ *
+ * 任一动画源加载失败、没有动画或找不到目标对象时以退出码1结束，便于在交付前自动校验
+ */
+const { values: options, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    public: { type: 'string', default: 'public' },
+    json: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+})
+
+// 提取器的逐轨道日志只在 --verbose 时输出，错误会汇总在报告中
+const log = console.log.bind(console)
+if (!options.verbose) {
+  ['log', 'warn', 'error', 'group', 'groupEnd'].forEach(method => {
+    console[method] = () => {}
+  })
+}
+
+const extractor = new NodeAnimationExtractor(
+  { ...sceneManifest, animationCache: null },
+  { publicDir: path.resolve(options.public) }
+)
+
+const report = {
+  generatedAt: new Date().toISOString(),
+  sources: [],
+  timeline: [],
+  totalDuration: 0,
+  diagnostics: []
+}
+
+if (files.length > 0) {
+  for (const file of files) {
+    const source = { id: path.basename(file), role: null, url: file }
+    let asset
+    try {
+      asset = { gltf: await extractor.loadGLTFFile(path.resolve(file)), error: null }
+    } catch (error) {
+      asset = { gltf: null, error }
+    }
+    report.sources.push(buildSourceReport(source, asset, extractor))
+  }
+} else {
+  await extractor.initialize()
+  report.sources = extractor.manifest.sources.map(source => (
+    buildSourceReport(source, extractor.loadedAssets.get(source.url) || {}, extractor)
+  ))
+  report.timeline = extractor.getTimelineSegments()
+  report.totalDuration = extractor.getDuration()
+  report.diagnostics = extractor.diagnostics.getAll()
+}
+
+log(formatReport(report))
+
+if (options.json) {
+  await writeFile(path.resolve(options.json), JSON.stringify(report, null, 2))
+  log(`\n📝 Report written to ${options.json}`)
+}
+
+const failed = report.sources.filter(source => source.status !== SOURCE_STATUS.OK)
+if (failed.length > 0) {
+  log(`\n❌ ${failed.length} source(s) need attention: ${failed.map(source => source.id).join(', ')}`)
+  process.exitCode = 1
+}
@@ -0,0 +1,141 @@
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { MultiSourceAnimationExtractor } from '../../src/systems/MultiSourceAnimationExtractor.js'
+import { SOURCE_ROLES } from '../../src/systems/SceneManifest.js'
+import { DIAGNOSTIC_SEVERITY } from '../../src/systems/Diagnostics.js'
+import { buildGraph } from '../../src/systems/AssetRegistry.js'
+import { decodeGLB, encodeGLB } from '../../src/systems/GLBFormat.js'
+
+// 只与网格、材质、纹理相关的扩展，剥离几何体后可以安全移除
+const GEOMETRY_EXTENSIONS = [
+  'KHR_draco_mesh_compression',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'EXT_mesh_gpu_instancing'
+]
+
+// 纹理相关的扩展，只剥离纹理时移除
+const TEXTURE_EXTENSIONS = GEOMETRY_EXTENSIONS.filter(name => /texture/.test(name))
+
+/**
+ * 在Node中运行的动画提取器
+ * 从本地public目录读取GLB，剥离网格/材质/纹理后只解析动画，无需浏览器、Draco/KTX2解码器或图片解码
+ */
+export class NodeAnimationExtractor extends MultiSourceAnimationExtractor {
+  constructor(manifest, { publicDir }) {
+    // 几何体和纹理会被剥离，只保留meshopt（动画数据也可能经过meshopt压缩）
+    super({ ...manifest, loaders: { ...manifest.loaders, draco: null, ktx2: null } })
+    this.publicDir = publicDir
+    this.loadedAssets = new Map() // url -> { gltf, error }
+  }
+
+  /**
+   * 把清单中的URL解析为本地文件路径
+   */
+  resolveAssetPath(url) {
+    return path.join(this.publicDir, decodeURIComponent(url.replace(/^\//, '')))
+  }
+
+  /**
+   * 读取并解析本地GLB文件（只包含动画、节点和相机）
+   */
+  async loadGLTFFile(filePath, { keepMeshes = false } = {}) {
+    const file = await readFile(filePath)
+    const glb = stripGeometryFromGLB(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength), { keepMeshes })
+    return this.loader.parseAsync(glb, '')
+  }
+
+  /**
+   * 读取显示用模型（清单model.url）的网格和材质参数（纹理被剥离），按名称索引节点和材质，用于导出带几何体的时间线
+   * Draco压缩的几何体在Node中没有解码器，此时抛出错误
+   */
+  async loadModel(url = this.manifest.model.url) {
+    return buildGraph(await this.loadGLTFFile(this.resolveAssetPath(url), { keepMeshes: true }))
+  }
+
+  async fetchGLTF(url) {
+    try {
+      const gltf = await this.loadGLTFFile(this.resolveAssetPath(url))
+      this.loadedAssets.set(url, { gltf, error: null })
+      return gltf
+    } catch (error) {
+      this.loadedAssets.set(url, { gltf: null, error })
+      throw error
+    }
+  }
+
+  /**
+   * 列出没有提取到动画的动画源和错误级别的诊断
+   * 命令行工具据此拒绝写出不完整的结果（运行时会优先使用缓存，空的缓存会让场景静默地没有动画）
+   */
+  getExtractionFailures() {
+    const { v6Original, camera, rings } = this.animationData
+    const dataByRole = {
+      [SOURCE_ROLES.INTRO]: () => v6Original,
+      [SOURCE_ROLES.CAMERA]: () => camera,
+      [SOURCE_ROLES.RING]: source => rings[source.ring]
+    }
+
+    const missing = this.manifest.sources
+      .filter(source => !dataByRole[source.role]?.(source))
+      .map(source => `${source.id}: no animation extracted from ${source.url}`)
+    const errors = this.diagnostics.getAll()
+      .filter(entry => entry.severity === DIAGNOSTIC_SEVERITY.ERROR)
+      .map(entry => `[${entry.code}] ${entry.source ? `${entry.source}: ` : ''}${entry.message}`)
+
+    return [...missing, ...errors]
+  }
+}
+
+/**
+ * 重写GLB的JSON块，删除网格、材质、纹理和图片，保留节点、相机和动画
+ * keepMeshes为true时保留网格和材质的数值参数，只删除纹理和图片（Node中无法解码图片）
+ */
+export function stripGeometryFromGLB(arrayBuffer, { keepMeshes = false } = {}) {
+  const { json, binChunk } = decodeGLB(arrayBuffer)
+
+  delete json.textures
+  delete json.images
+  delete json.samplers
+
+  if (keepMeshes) {
+    json.materials = (json.materials || []).map(stripMaterialTextures)
+    json.extensionsUsed = (json.extensionsUsed || []).filter(name => !TEXTURE_EXTENSIONS.includes(name))
+    json.extensionsRequired = (json.extensionsRequired || []).filter(name => !TEXTURE_EXTENSIONS.includes(name))
+    return encodeGLB(json, binChunk)
+  }
+
+  delete json.meshes
+  delete json.materials
+  delete json.skins
+  ;(json.nodes || []).forEach(node => {
+    delete node.mesh
+    delete node.skin
+    delete node.weights
+    if (node.extensions) {
+      GEOMETRY_EXTENSIONS.forEach(name => delete node.extensions[name])
+    }
+  })
+  json.extensionsUsed = (json.extensionsUsed || []).filter(name => !GEOMETRY_EXTENSIONS.includes(name))
+  json.extensionsRequired = (json.extensionsRequired || []).filter(name => !GEOMETRY_EXTENSIONS.includes(name))
+
+  return encodeGLB(json, binChunk)
+}
+
+/**
+ * 只保留材质的数值参数（颜色、金属度、粗糙度、自发光、透明和双面），去掉所有纹理引用
+ */
+function stripMaterialTextures({ name, pbrMetallicRoughness = {}, emissiveFactor, alphaMode, alphaCutoff, doubleSided }) {
+  const { baseColorFactor, metallicFactor, roughnessFactor } = pbrMetallicRoughness
+  return {
+    name,
+    pbrMetallicRoughness: { baseColorFactor, metallicFactor, roughnessFactor },
+    emissiveFactor,
+    alphaMode,
+    alphaCutoff,
+    doubleSided
+  }
+}
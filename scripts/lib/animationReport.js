@@ -0,0 +1,120 @@
+import { SOURCE_ROLES, findRingIdByMeshObject } from '../../src/systems/SceneManifest.js'
+
+/**
+ * 动画源检查状态
+ */
+export const SOURCE_STATUS = {
+  OK: 'ok',
+  ERROR: 'error',
+  NO_ANIMATIONS: 'no-animations',
+  MISSING_OBJECT: 'missing-object'
+}
+
+/**
+ * 为一个动画源生成报告：所有clip和轨道，以及提取器会使用哪些轨道
+ * source为清单中的动画源；直接检查文件时role为null，不做对象匹配
+ */
+export function buildSourceReport(source, { gltf, error }, extractor) {
+  const report = {
+    id: source.id,
+    role: source.role,
+    url: source.url,
+    objectName: source.objectName || null,
+    status: SOURCE_STATUS.OK,
+    error: null,
+    clips: [],
+    usedTracks: 0
+  }
+
+  if (error || !gltf) {
+    report.status = SOURCE_STATUS.ERROR
+    report.error = error ? error.message : 'Not loaded'
+    return report
+  }
+
+  report.clips = gltf.animations.map(clip => ({
+    name: clip.name,
+    duration: clip.duration,
+    tracks: clip.tracks.map(track => {
+      const [object, property] = track.name.split('.')
+      const used = isTrackUsed(source, object, extractor)
+      if (used) report.usedTracks++
+      return {
+        name: track.name,
+        object,
+        property,
+        interpolation: extractor.getTrackInterpolation(track),
+        keyframes: track.times.length,
+        start: track.times.length ? track.times[0] : 0,
+        end: track.times.length ? track.times[track.times.length - 1] : 0,
+        used
+      }
+    })
+  }))
+
+  if (report.clips.length === 0) {
+    report.status = SOURCE_STATUS.NO_ANIMATIONS
+  } else if (source.role && report.usedTracks === 0) {
+    report.status = SOURCE_STATUS.MISSING_OBJECT
+    report.error = source.role === SOURCE_ROLES.INTRO
+      ? `No tracks target the ring mesh groups (${Object.values(extractor.manifest.rings).map(ring => ring.meshGroup).join(', ')})`
+      : `No tracks target object "${source.objectName}"`
+  }
+
+  return report
+}
+
+function isTrackUsed(source, objectName, extractor) {
+  switch (source.role) {
+    case SOURCE_ROLES.INTRO:
+      return findRingIdByMeshObject(extractor.manifest, objectName) !== null
+    case SOURCE_ROLES.CAMERA:
+    case SOURCE_ROLES.RING:
+      return objectName === source.objectName
+    default:
+      return false
+  }
+}
+
+/**
+ * 把报告格式化为终端文本
+ */
+export function formatReport(report) {
+  const lines = ['● track used by the extractor   ○ ignored', '']
+  const statusIcon = {
+    [SOURCE_STATUS.OK]: '✅',
+    [SOURCE_STATUS.ERROR]: '❌',
+    [SOURCE_STATUS.NO_ANIMATIONS]: '⚠️',
+    [SOURCE_STATUS.MISSING_OBJECT]: '⚠️'
+  }
+
+  report.sources.forEach(source => {
+    const target = source.objectName ? ` → ${source.objectName}` : ''
+    lines.push(`${statusIcon[source.status]} ${source.id}${source.role ? ` [${source.role}]` : ''} ${source.url}${target}`)
+    if (source.error) {
+      lines.push(`   ${source.status}: ${source.error}`)
+    }
+
+    source.clips.forEach(clip => {
+      lines.push(`   🎭 "${clip.name}" ${clip.duration.toFixed(3)}s, ${clip.tracks.length} tracks`)
+      clip.tracks.forEach(track => {
+        const marker = track.used ? '●' : '○'
+        lines.push(
+          `      ${marker} ${track.name.padEnd(36)} ${track.interpolation.padEnd(11)} ` +
+          `${String(track.keyframes).padStart(6)} keys  ${track.start.toFixed(3)}s → ${track.end.toFixed(3)}s`
+        )
+      })
+    })
+    lines.push('')
+  })
+
+  if (report.timeline && report.timeline.length > 0) {
+    lines.push('⏱️ Timeline')
+    report.timeline.forEach(segment => {
+      lines.push(`   Phase ${segment.phase} ${segment.label.padEnd(20)} ${segment.start.toFixed(2)}s → ${segment.end.toFixed(2)}s (${segment.behavior})`)
+    })
+    lines.push(`   Total ${report.totalDuration.toFixed(2)}s`)
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,177 @@
+import * as THREE from 'three'
+import { decodeGLB, encodeGLB } from '../../src/systems/GLBFormat.js'
+import { isMeshGroupNode } from '../../src/systems/SceneManifest.js'
+
+/**
+ * 从v6模型生成运行时显示用的GLB（清单 model.url）
+ * 只保留环网格组和清单道具的网格，以及它们引用的材质、纹理和图片；删除动画、蒙皮和其他网格，
+ * 二进制块只保留仍被引用的bufferView。节点层级原样保留（世界变换不变），Draco/meshopt压缩的数据原样复制
+ * 返回 { glb, meshNodes, missingMeshGroups }：保留了网格的节点名，以及模型中找不到的环网格组
+ */
+export function createGeometryGLB(arrayBuffer, manifest) {
+  const { json, binChunk } = decodeGLB(arrayBuffer)
+  const foundMeshGroups = new Set()
+  const isKept = createNodeFilter(json, manifest, foundMeshGroups)
+
+  // 节点：只有环网格组和道具节点保留网格
+  const meshes = new IndexMap()
+  const meshNodes = []
+  ;(json.nodes || []).forEach(node => {
+    if (node.mesh !== undefined && isKept(node)) {
+      node.mesh = meshes.add(node.mesh)
+      meshNodes.push(node.name)
+    } else {
+      delete node.mesh
+      delete node.weights
+    }
+    delete node.skin
+  })
+  delete json.animations
+  delete json.skins
+  json.meshes = meshes.pick(json.meshes)
+
+  // 网格引用的材质和accessor
+  const materials = new IndexMap()
+  const accessors = new IndexMap()
+  const bufferViews = new IndexMap()
+  json.meshes.forEach(mesh => {
+    mesh.primitives.forEach(primitive => {
+      if (primitive.material !== undefined) primitive.material = materials.add(primitive.material)
+      if (primitive.indices !== undefined) primitive.indices = accessors.add(primitive.indices)
+      remapValues(primitive.attributes, accessors)
+      ;(primitive.targets || []).forEach(target => remapValues(target, accessors))
+
+      const draco = primitive.extensions?.KHR_draco_mesh_compression
+      if (draco) {
+        draco.bufferView = bufferViews.add(draco.bufferView)
+      }
+    })
+  })
+  json.materials = materials.pick(json.materials)
+  json.accessors = accessors.pick(json.accessors)
+
+  // 材质引用的纹理（任意层级中的 *Texture: { index }），纹理引用的图片
+  const textures = new IndexMap()
+  json.materials.forEach(material => remapTextureRefs(material, textures))
+  json.textures = textures.pick(json.textures)
+
+  const images = new IndexMap()
+  json.textures.forEach(texture => {
+    if (texture.source !== undefined) texture.source = images.add(texture.source)
+    Object.values(texture.extensions || {}).forEach(extension => {
+      if (extension.source !== undefined) extension.source = images.add(extension.source)
+    })
+  })
+  json.images = images.pick(json.images)
+
+  // accessor（含稀疏数据）和图片引用的bufferView
+  json.accessors.forEach(accessor => {
+    if (accessor.bufferView !== undefined) accessor.bufferView = bufferViews.add(accessor.bufferView)
+    if (accessor.sparse) {
+      accessor.sparse.indices.bufferView = bufferViews.add(accessor.sparse.indices.bufferView)
+      accessor.sparse.values.bufferView = bufferViews.add(accessor.sparse.values.bufferView)
+    }
+  })
+  json.images.forEach(image => {
+    if (image.bufferView !== undefined) image.bufferView = bufferViews.add(image.bufferView)
+  })
+  json.bufferViews = bufferViews.pick(json.bufferViews)
+
+  const bin = repackBinaryChunk(json, binChunk)
+  removeEmptyArrays(json, ['meshes', 'materials', 'accessors', 'textures', 'images', 'bufferViews'])
+
+  const missingMeshGroups = Object.values(manifest.rings)
+    .map(ring => ring.meshGroup)
+    .filter(meshGroup => !foundMeshGroups.has(meshGroup))
+
+  return { glb: encodeGLB(json, bin), meshNodes, missingMeshGroups }
+}
+
+/**
+ * 环网格组（網格003、網格003_1 …）和道具节点的名称匹配，记录匹配到的网格组
+ * three按网格名为多图元网格的子网格命名，因此节点名或网格名匹配都保留；名称按three加载后的形式（sanitizeNodeName）比较
+ */
+function createNodeFilter(json, manifest, foundMeshGroups) {
+  const meshGroups = Object.values(manifest.rings).map(ring => ring.meshGroup)
+  const props = new Set((manifest.props || []).map(prop => prop.node))
+  const matches = name => {
+    const sanitized = THREE.PropertyBinding.sanitizeNodeName(name || '')
+    const meshGroup = meshGroups.find(group => isMeshGroupNode(sanitized, group))
+    if (meshGroup) foundMeshGroups.add(meshGroup)
+    return props.has(sanitized) || meshGroup !== undefined
+  }
+  return node => matches(node.name) || matches(json.meshes?.[node.mesh]?.name)
+}
+
+/**
+ * 旧索引 -> 新索引（按首次引用的顺序）
+ */
+class IndexMap {
+  constructor() {
+    this.map = new Map()
+  }
+
+  add(index) {
+    if (!this.map.has(index)) this.map.set(index, this.map.size)
+    return this.map.get(index)
+  }
+
+  pick(items = []) {
+    return Array.from(this.map.keys()).map(index => items[index])
+  }
+}
+
+function remapValues(object, indexMap) {
+  if (!object) return
+  Object.keys(object).forEach(key => {
+    object[key] = indexMap.add(object[key])
+  })
+}
+
+function remapTextureRefs(value, textures) {
+  if (!value || typeof value !== 'object') return
+  Object.entries(value).forEach(([key, child]) => {
+    if (/Texture$/.test(key) && child && typeof child.index === 'number') {
+      child.index = textures.add(child.index)
+    }
+    remapTextureRefs(child, textures)
+  })
+}
+
+/**
+ * 把保留的bufferView复制到新的二进制块（GLB的buffer 0），更新偏移
+ * meshopt压缩的bufferView自身指向回退buffer，压缩数据在扩展引用的buffer中，两者分别处理
+ */
+function repackBinaryChunk(json, binChunk) {
+  if (!binChunk) return null
+
+  const parts = []
+  let length = 0
+  const append = (byteOffset = 0, byteLength) => {
+    const offset = length
+    parts.push({ offset, bytes: binChunk.subarray(byteOffset, byteOffset + byteLength) })
+    length = Math.ceil((offset + byteLength) / 4) * 4
+    return offset
+  }
+
+  json.bufferViews.forEach(bufferView => {
+    const meshopt = bufferView.extensions?.EXT_meshopt_compression
+    if (meshopt && meshopt.buffer === 0) {
+      meshopt.byteOffset = append(meshopt.byteOffset, meshopt.byteLength)
+    }
+    if (bufferView.buffer === 0) {
+      bufferView.byteOffset = append(bufferView.byteOffset, bufferView.byteLength)
+    }
+  })
+
+  const bin = new Uint8Array(length)
+  parts.forEach(({ offset, bytes }) => bin.set(bytes, offset))
+  if (json.buffers?.[0]) json.buffers[0].byteLength = length
+  return bin
+}
+
+function removeEmptyArrays(json, keys) {
+  keys.forEach(key => {
+    if (Array.isArray(json[key]) && json[key].length === 0) delete json[key]
+  })
+}
@@ -1,68 +1,183 @@
-import React, { Suspense, useState, useRef, useEffect } from 'react'
-import { Canvas } from '@react-three/fiber'
+import React, { Suspense, useState, useRef, useEffect, useLayoutEffect, useMemo } from 'react'
+import { Canvas, useThree } from '@react-three/fiber'
 import { Environment } from '@react-three/drei'
 import CompleteAnimationScene from './components/CompleteAnimationScene.jsx'
 import AnimationControls from './components/AnimationControls.jsx'
+import LoadingOverlay from './components/LoadingOverlay.jsx'
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx'
+import SceneErrorBoundary from './components/SceneErrorBoundary.jsx'
+import CameraPosePanel from './components/CameraPosePanel.jsx'
+import TrackInspectorPanel from './components/TrackInspectorPanel.jsx'
+import { DEFAULT_PLAYBACK_SETTINGS } from './systems/Playback.js'
+import { PLAYBACK_STATES } from './systems/PlaybackStateMachine.js'
+import { PLAYBACK_BACKENDS } from './systems/MixerBackend.js'
+import { useAnimationClock } from './hooks/useAnimationClock.js'
+import { animationClock } from './systems/AnimationClock.js'
+import { parseDeepLink, createDeepLink, replaceDeepLink } from './systems/DeepLink.js'
+import { collectRingGeometry, exportTimelineGLB } from './systems/TimelineExport.js'
+import { multiSourceAnimationExtractor } from './systems/MultiSourceAnimationExtractor.js'
+import { DIAGNOSTIC_CODES } from './systems/Diagnostics.js'
+import { downloadFile } from './systems/Download.js'
+
+const PLAYBACK_STATE_LABELS = {
+  [PLAYBACK_STATES.LOADING]: '⏳ Loading',
+  [PLAYBACK_STATES.IDLE]: '💫 Idle',
+  [PLAYBACK_STATES.PLAYING]: '▶️ Playing',
+  [PLAYBACK_STATES.PAUSED]: '⏸️ Paused',
+  [PLAYBACK_STATES.ENDED]: '⏹️ Ended',
+  [PLAYBACK_STATES.ERROR]: '❌ Error'
+}
 
 /**
  * 主应用组件 - 完整动画场景版本
  */
 function App() {
   const [animationInfo, setAnimationInfo] = useState(null)
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [currentTime, setCurrentTime] = useState(0)
-  const [cameraState, setCameraState] = useState(null)
+  const [playbackState, setPlaybackState] = useState(PLAYBACK_STATES.LOADING)
+  const [playbackSettings, setPlaybackSettings] = useState(DEFAULT_PLAYBACK_SETTINGS)
+  const [cameraOverride, setCameraOverride] = useState(null)
+  const [debugCamera, setDebugCamera] = useState(false)
+  const [playbackBackend, setPlaybackBackend] = useState(PLAYBACK_BACKENDS.SAMPLER)
+  const deepLink = useMemo(() => parseDeepLink(), [])
   const sceneRef = useRef()
+  const resumeAfterScrubRef = useRef(false) // 拖动时间线前是否在播放
+
+  const isPlaying = playbackState === PLAYBACK_STATES.PLAYING
 
+  // 把当前时刻同步到地址栏：暂停或结束时记录时间，播放中只保留速率
+  useEffect(() => {
+    if (playbackState === PLAYBACK_STATES.LOADING || playbackState === PLAYBACK_STATES.ERROR) return
+
+    const isHolding = playbackState === PLAYBACK_STATES.PAUSED || playbackState === PLAYBACK_STATES.ENDED
+    return animationClock.subscribe(({ time, phase }) => replaceDeepLink({
+      time: isHolding ? time : undefined,
+      phase: isHolding ? phase?.phase : undefined,
+      paused: isHolding,
+      rate: playbackSettings.rate,
+      camera: cameraOverride
+    }), 500)
+  }, [playbackState, playbackSettings.rate, cameraOverride])
+
+  // 播放状态和时间由场景的状态机通过回调同步回来
   const handlePlay = () => {
-    if (sceneRef.current?.playAnimation) {
-      sceneRef.current.playAnimation()
-      setIsPlaying(true)
-    }
+    sceneRef.current?.playAnimation?.()
   }
 
   const handleStop = () => {
-    if (sceneRef.current?.stopAnimation) {
-      sceneRef.current.stopAnimation()
-      setIsPlaying(false)
-      setCurrentTime(0)
-    }
+    sceneRef.current?.stopAnimation?.()
   }
 
   const handlePause = () => {
-    if (sceneRef.current?.pauseAnimation) {
-      sceneRef.current.pauseAnimation()
-      setIsPlaying(false)
+    sceneRef.current?.pauseAnimation?.()
+  }
+
+  const handleSeek = (time) => {
+    sceneRef.current?.seekTo?.(time)
+  }
+
+  // 拖动时间线期间暂停播放，松开后恢复
+  const handleScrubStart = () => {
+    resumeAfterScrubRef.current = isPlaying
+    if (isPlaying) handlePause()
+  }
+
+  const handleScrubEnd = () => {
+    if (resumeAfterScrubRef.current) handlePlay()
+    resumeAfterScrubRef.current = false
+  }
+
+  // 复制指向当前时刻的链接，includeCamera时附带当前相机机位
+  const handleCopyLink = async (includeCamera) => {
+    const link = createDeepLink({
+      time: animationClock.time,
+      phase: animationClock.phase?.phase,
+      paused: !isPlaying,
+      rate: playbackSettings.rate,
+      camera: includeCamera ? (cameraOverride || animationClock.camera) : null
+    })
+
+    try {
+      await navigator.clipboard.writeText(link)
+      return true
+    } catch (error) {
+      // 剪贴板不可用（如非HTTPS环境）时让用户手动复制
+      console.warn('⚠️ Clipboard unavailable:', error)
+      window.prompt('Copy link to this moment:', link)
+      return false
+    }
+  }
+
+  // 烘焙完整时间线并下载GLB（包含关键帧编辑和机位覆盖的结果）
+  const handleExportTimeline = () => {
+    try {
+      // 环几何体取自场景已加载的v6模型
+      const model = multiSourceAnimationExtractor.assets.peek(multiSourceAnimationExtractor.manifest.model.url)
+      if (!model) throw new Error('v6 model is not loaded, cannot export ring geometry')
+      const glb = exportTimelineGLB(multiSourceAnimationExtractor, {
+        ringGeometry: collectRingGeometry(model, multiSourceAnimationExtractor.manifest)
+      })
+      downloadFile(glb, 'timeline.glb', 'model/gltf-binary')
+    } catch (error) {
+      multiSourceAnimationExtractor.diagnostics.report({
+        code: DIAGNOSTIC_CODES.EXPORT_FAILED,
+        source: 'timeline.glb',
+        reason: 'Export failure',
+        message: error.message
+      })
+    }
+  }
+
+  const handleCapturePose = (name) => {
+    if (!sceneRef.current?.captureCameraPose) {
+      throw new Error('Scene is not ready yet')
     }
+    sceneRef.current.captureCameraPose(name)
+  }
+
+  const handleRateChange = (rate) => {
+    sceneRef.current?.setPlaybackRate?.(rate)
   }
 
+  const handleLoopModeChange = (loopMode) => {
+    sceneRef.current?.setLoopMode?.(loopMode)
+  }
+
+  const handleLoopRangeChange = (start, end) => {
+    sceneRef.current?.setLoopRange?.(start, end)
+  }
 
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
-      <Canvas
-        gl={{ 
-          antialias: true,
-          alpha: true 
-        }}
-      >
-        <Suspense fallback={<LoadingMesh />}>
-          {/* 基础光照 */}
-          <ambientLight intensity={0.4} />
-          <directionalLight position={[10, 10, 5]} intensity={1} />
-          
-          {/* 完整动画场景 */}
-          <CompleteAnimationScene 
-            ref={sceneRef}
-            onAnimationInfoChange={setAnimationInfo}
-            onPlayingChange={setIsPlaying}
-            onTimeChange={setCurrentTime}
-            onCameraUpdate={setCameraState}
-          />
-          
-          {/* 环境 */}
-          <Environment preset="sunset" />
-        </Suspense>
-      </Canvas>
+      <SceneErrorBoundary>
+        <Canvas
+          gl={{ 
+            antialias: true,
+            alpha: true 
+          }}
+        >
+          <RendererSetup />
+          <Suspense fallback={<LoadingMesh />}>
+            {/* 基础光照 */}
+            <ambientLight intensity={0.4} />
+            <directionalLight position={[10, 10, 5]} intensity={1} />
+            
+            {/* 完整动画场景 */}
+            <CompleteAnimationScene 
+              ref={sceneRef}
+              onAnimationInfoChange={setAnimationInfo}
+              onPlaybackStateChange={setPlaybackState}
+              onPlaybackSettingsChange={setPlaybackSettings}
+              onCameraOverrideChange={setCameraOverride}
+              deepLink={deepLink}
+              debugCamera={debugCamera}
+              playbackBackend={playbackBackend}
+            />
+            
+            {/* 环境 */}
+            <Environment preset="sunset" />
+          </Suspense>
+        </Canvas>
+      </SceneErrorBoundary>
       
       {/* 多源动画状态显示 */}
       <div style={{
@@ -79,46 +194,105 @@ function App() {
         <h3 style={{ margin: '0 0 10px 0', color: '#00ffff' }}>
           🎬 Three-Phase Animation Scene
         </h3>
-        <div>Status: {isPlaying ? '▶️ Playing' : '⏸️ Paused'}</div>
-        <div>Time: {currentTime.toFixed(2)}s</div>
-        <div>Mode: Three-Phase Animation</div>
+        <div>Status: {PLAYBACK_STATE_LABELS[playbackState]}</div>
+        <ClockTime />
+        <div>Rate: {playbackSettings.rate}x · {playbackSettings.loopMode}</div>
+        <div>Mode: {animationInfo?.segments?.length || 0}-Phase Timeline</div>
         {animationInfo && (
           <div style={{ marginTop: '10px', fontSize: '12px' }}>
             <div>🎯 v6 Original: {animationInfo.v6Original ? '✅' : '❌'}</div>
             <div>📹 Camera: {animationInfo.camera ? '✅' : '❌'}</div>
-            <div>🎯 Scenes B Rings: {animationInfo.rings?.length || 0}/3</div>
+            <div>🎯 Scenes B Rings: {animationInfo.rings?.filter(ring => ring.hasAnimation).length || 0}/{animationInfo.rings?.length || 0}</div>
             <div>⏱️ Total Duration: {animationInfo.totalDuration?.toFixed(2)}s</div>
-            {animationInfo.phaseDurations && (
+            {animationInfo.segments && (
               <div style={{ marginTop: '5px', fontSize: '11px' }}>
-                <div>Phase 1: {animationInfo.phaseDurations.phase1?.toFixed(1)}s</div>
-                <div>Phase 2: {animationInfo.phaseDurations.phase2?.toFixed(1)}s</div>
-                <div>Phase 3: {animationInfo.phaseDurations.phase3?.toFixed(1)}s</div>
+                {animationInfo.segments.map(segment => (
+                  <div key={segment.id}>
+                    Phase {segment.phase} ({segment.label}): {segment.duration.toFixed(1)}s
+                  </div>
+                ))}
               </div>
             )}
           </div>
         )}
-        {cameraState && (
-          <div style={{ marginTop: '10px', fontSize: '11px' }}>
-            <div>📍 Pos: [{cameraState.position?.map(p => p.toFixed(1)).join(', ')}]</div>
-            <div>🔍 FOV: {cameraState.fov?.toFixed(1)}°</div>
-          </div>
-        )}
+        <CameraReadout />
       </div>
 
+      {/* 加载进度 */}
+      <LoadingOverlay visible={!animationInfo} />
+
+      {/* 诊断面板 */}
+      <DiagnosticsPanel />
+
+      {/* 机位面板 */}
+      <CameraPosePanel onCapture={handleCapturePose} />
+
+      {/* 轨道检查器 */}
+      <TrackInspectorPanel animationInfo={animationInfo} />
 
       {/* 动画控制器 */}
       <AnimationControls 
         onPlay={handlePlay}
         onStop={handleStop}
         onPause={handlePause}
+        onSeek={handleSeek}
+        onScrubStart={handleScrubStart}
+        onScrubEnd={handleScrubEnd}
+        onRateChange={handleRateChange}
+        onLoopModeChange={handleLoopModeChange}
+        onLoopRangeChange={handleLoopRangeChange}
+        onCopyLink={handleCopyLink}
+        onExportTimeline={handleExportTimeline}
+        onToggleDebugCamera={() => setDebugCamera(enabled => !enabled)}
+        debugCamera={debugCamera}
+        onPlaybackBackendChange={setPlaybackBackend}
+        playbackBackend={playbackBackend}
         isPlaying={isPlaying}
-        currentTime={currentTime}
+        playbackState={playbackState}
         animationInfo={animationInfo}
+        playbackSettings={playbackSettings}
       />
     </div>
   )
 }
 
+/**
+ * 当前时间（订阅动画时钟，只有这里按节流间隔重新渲染）
+ */
+function ClockTime() {
+  const { time } = useAnimationClock()
+  return <div>Time: {time.toFixed(2)}s</div>
+}
+
+/**
+ * 当前相机位置和FOV
+ */
+function CameraReadout() {
+  const { camera } = useAnimationClock()
+  if (!camera) return null
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '11px' }}>
+      <div>📍 Pos: [{camera.position?.map(p => p.toFixed(1)).join(', ')}]</div>
+      <div>🔍 FOV: {camera.fov?.toFixed(1)}°</div>
+    </div>
+  )
+}
+
+/**
+ * 把渲染器交给提取器的解码管线（KTX2转码需要知道支持的压缩格式），然后开始提取动画
+ * 放在Suspense外面：场景在模型加载完成前处于挂起状态，其中的effect不会执行
+ */
+function RendererSetup() {
+  const gl = useThree(state => state.gl)
+  useLayoutEffect(() => {
+    multiSourceAnimationExtractor.setRenderer(gl)
+    // 与场景模型并行加载；失败由场景的初始化处理（诊断和播放状态）
+    multiSourceAnimationExtractor.initialize().catch(() => {})
+  }, [gl])
+  return null
+}
+
 /**
  * 加载组件
  */
@@ -1,4 +1,30 @@
-import React from 'react'
+import React, { useState } from 'react'
+import { LOOP_MODES, DEFAULT_PLAYBACK_SETTINGS } from '../systems/Playback.js'
+import TimelineScrubber from './TimelineScrubber.jsx'
+import { PLAYBACK_STATES } from '../systems/PlaybackStateMachine.js'
+import { PLAYBACK_BACKENDS } from '../systems/MixerBackend.js'
+import { useAnimationClock } from '../hooks/useAnimationClock.js'
+
+const RATE_PRESETS = [-1, 0.25, 0.5, 1, 2]
+
+const LOOP_MODE_LABELS = {
+  [LOOP_MODES.LOOP]: '🔁 Loop',
+  [LOOP_MODES.ONCE]: '➡️ Once',
+  [LOOP_MODES.PING_PONG]: '🔀 Ping-Pong'
+}
+
+const optionButtonStyle = (active) => ({
+  background: active ? '#003333' : '#111',
+  border: `1px solid ${active ? '#00ffff' : '#336633'}`,
+  color: active ? '#00ffff' : '#00ff00',
+  padding: '4px 8px',
+  marginRight: '6px',
+  marginBottom: '6px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+})
 
 /**
  * 动画控制面板组件
@@ -7,13 +33,38 @@ function AnimationControls({
   onPlay, 
   onStop, 
   onPause,
+  onSeek,
+  onScrubStart,
+  onScrubEnd,
+  onRateChange,
+  onLoopModeChange,
+  onLoopRangeChange,
+  onCopyLink,
+  onExportTimeline,
+  onToggleDebugCamera,
+  onPlaybackBackendChange,
   isPlaying, 
-  currentTime, 
+  playbackState = PLAYBACK_STATES.IDLE,
   animationInfo,
+  playbackSettings = DEFAULT_PLAYBACK_SETTINGS,
+  debugCamera = false,
+  playbackBackend = PLAYBACK_BACKENDS.SAMPLER,
   position = [20, 20] 
 }) {
+  const { time: currentTime } = useAnimationClock()
+  const [includeCamera, setIncludeCamera] = useState(false)
+  const [copyStatus, setCopyStatus] = useState(null)
   const totalDuration = animationInfo?.totalDuration || 0
   const progress = totalDuration > 0 ? (currentTime / totalDuration) * 100 : 0
+  const { rate, loopMode, loopRange } = playbackSettings
+  const canPlay = [PLAYBACK_STATES.IDLE, PLAYBACK_STATES.PAUSED, PLAYBACK_STATES.ENDED].includes(playbackState)
+
+  const handleCopyLink = async () => {
+    if (!onCopyLink) return
+    const copied = await onCopyLink(includeCamera)
+    setCopyStatus(copied ? '✅ Copied' : null)
+    if (copied) setTimeout(() => setCopyStatus(null), 2000)
+  }
 
   return (
     <div style={{
@@ -39,15 +90,15 @@ function AnimationControls({
       <div style={{ marginBottom: '15px' }}>
         <button 
           onClick={onPlay}
-          disabled={isPlaying}
+          disabled={!canPlay}
           style={{
-            background: isPlaying ? '#333' : '#003300',
+            background: !canPlay ? '#333' : '#003300',
             border: '1px solid #00ff00',
-            color: isPlaying ? '#666' : '#00ff00',
+            color: !canPlay ? '#666' : '#00ff00',
             padding: '8px 16px',
             marginRight: '10px',
             borderRadius: '4px',
-            cursor: isPlaying ? 'not-allowed' : 'pointer',
+            cursor: !canPlay ? 'not-allowed' : 'pointer',
             fontFamily: 'monospace'
           }}
         >
@@ -90,24 +141,135 @@ function AnimationControls({
       {/* 时间显示 */}
       <div style={{ marginBottom: '15px' }}>
         <div>Time: {currentTime.toFixed(2)}s / {totalDuration.toFixed(2)}s</div>
-        <div style={{ 
-          width: '100%', 
-          height: '6px', 
-          background: '#333', 
-          borderRadius: '3px',
-          marginTop: '5px',
-          overflow: 'hidden'
-        }}>
-          <div style={{
-            width: `${progress}%`,
-            height: '100%',
-            background: '#00ff00',
-            transition: 'width 0.1s'
-          }} />
-        </div>
+        <TimelineScrubber
+          currentTime={currentTime}
+          totalDuration={totalDuration}
+          phaseDurations={animationInfo?.phaseDurations}
+          segments={animationInfo?.segments}
+          loopRange={loopRange}
+          onSeek={time => onSeek?.(time)}
+          onScrubStart={onScrubStart}
+          onScrubEnd={onScrubEnd}
+        />
         <div style={{ fontSize: '10px', marginTop: '2px' }}>
           Progress: {progress.toFixed(1)}%
         </div>
+
+        {/* 深链接 */}
+        <div style={{ marginTop: '8px' }}>
+          <button onClick={handleCopyLink} style={optionButtonStyle(false)}>
+            🔗 Copy link to this moment
+          </button>
+          <label style={{ fontSize: '10px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={includeCamera}
+              onChange={event => setIncludeCamera(event.target.checked)}
+              style={{ verticalAlign: 'middle' }}
+            />
+            camera
+          </label>
+          {copyStatus && <span style={{ marginLeft: '6px', color: '#00ffff' }}>{copyStatus}</span>}
+        </div>
+
+        {/* 调试相机 */}
+        <div>
+          <button
+            onClick={onToggleDebugCamera}
+            disabled={!animationInfo}
+            style={optionButtonStyle(debugCamera)}
+          >
+            🎥 Debug Camera {debugCamera ? 'ON' : 'OFF'}
+          </button>
+          <button
+            onClick={onExportTimeline}
+            disabled={!animationInfo}
+            style={optionButtonStyle(false)}
+          >
+            🎞️ Export Timeline GLB
+          </button>
+        </div>
+
+        {/* 播放后端（对比sampler与AnimationMixer的结果） */}
+        <div>
+          {Object.values(PLAYBACK_BACKENDS).map(backend => (
+            <button
+              key={backend}
+              onClick={() => onPlaybackBackendChange?.(backend)}
+              disabled={!animationInfo}
+              style={optionButtonStyle(playbackBackend === backend)}
+            >
+              🧮 {backend}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* 播放速率与循环 */}
+      <div style={{ marginBottom: '15px' }}>
+        <div style={{ marginBottom: '4px' }}>Rate: {rate}x{rate < 0 ? ' (reverse)' : ''}</div>
+        <div>
+          {RATE_PRESETS.map(preset => (
+            <button
+              key={preset}
+              onClick={() => onRateChange?.(preset)}
+              style={optionButtonStyle(rate === preset)}
+            >
+              {preset < 0 ? '⏪' : ''}{preset}x
+            </button>
+          ))}
+        </div>
+
+        <div style={{ margin: '6px 0 4px 0' }}>Loop Mode:</div>
+        <div>
+          {Object.values(LOOP_MODES).map(mode => (
+            <button
+              key={mode}
+              onClick={() => onLoopModeChange?.(mode)}
+              style={optionButtonStyle(loopMode === mode)}
+            >
+              {LOOP_MODE_LABELS[mode]}
+            </button>
+          ))}
+        </div>
+
+        <div style={{ margin: '6px 0 4px 0' }}>
+          A/B Range: {loopRange ? `${loopRange.start.toFixed(2)}s → ${loopRange.end.toFixed(2)}s` : 'full timeline'}
+        </div>
+        <div>
+          <button
+            onClick={() => onLoopRangeChange?.(currentTime, loopRange ? loopRange.end : totalDuration)}
+            style={optionButtonStyle(false)}
+          >
+            🅰️ Set A
+          </button>
+          <button
+            onClick={() => onLoopRangeChange?.(loopRange ? loopRange.start : 0, currentTime)}
+            style={optionButtonStyle(false)}
+          >
+            🅱️ Set B
+          </button>
+          <button
+            onClick={() => onLoopRangeChange?.(null)}
+            disabled={!loopRange}
+            style={optionButtonStyle(false)}
+          >
+            ✖️ Clear
+          </button>
+        </div>
+        {animationInfo?.segments && (
+          <div>
+            {animationInfo.segments.map(segment => (
+              <button
+                key={segment.id}
+                onClick={() => onLoopRangeChange?.(segment.start, segment.end)}
+                style={optionButtonStyle(loopRange?.start === segment.start && loopRange?.end === segment.end)}
+              >
+                Phase {segment.phase}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* 动画信息 */}
@@ -136,7 +298,7 @@ function AnimationControls({
           {animationInfo.rings && Array.isArray(animationInfo.rings) && animationInfo.rings.length > 0 && (
             <div>
               <div style={{ color: '#00ff88', marginBottom: '8px' }}>
-                🎯 Rings ({animationInfo.rings.length}/3):
+                🎯 Rings ({animationInfo.rings.filter(ring => ring.hasAnimation).length}/{animationInfo.rings.length}):
               </div>
               {(animationInfo.rings || []).map((ring, index) => (
                 <div key={ring.id} style={{ 
@@ -182,7 +344,7 @@ function AnimationControls({
         borderRadius: '4px',
         fontSize: '10px'
       }}>
-        Status: {isPlaying ? '▶️ Playing' : '⏸️ Stopped'}
+        Status: {isPlaying ? '▶️ Playing' : `⏸️ ${playbackState}`}
       </div>
     </div>
   )
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { cameraPoseLibrary } from '../systems/CameraPoses.js'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { downloadFile } from '../systems/Download.js'
+
+const buttonStyle = {
+  background: '#111',
+  border: '1px solid #336633',
+  color: '#00ff00',
+  padding: '2px 8px',
+  marginRight: '6px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+}
+
+/**
+ * 机位面板组件
+ * 记录当前视角为命名机位（保存在localStorage），指定清单机位使用哪个保存的机位，并导出/导入JSON
+ */
+function CameraPosePanel({ onCapture, library = cameraPoseLibrary, extractor = multiSourceAnimationExtractor }) {
+  const [{ poses, assignments }, setSnapshot] = useState(library.getSnapshot())
+  const [name, setName] = useState('')
+  const [error, setError] = useState(null)
+  const [collapsed, setCollapsed] = useState(true)
+  const fileInputRef = useRef()
+  const shots = extractor.getCameraShotIds()
+
+  useEffect(() => library.subscribe(setSnapshot), [library])
+
+  // 执行操作并把错误显示在面板中
+  const run = (action) => {
+    try {
+      action()
+      setError(null)
+    } catch (actionError) {
+      console.error('❌ Camera pose action failed:', actionError)
+      setError(actionError.message)
+    }
+  }
+
+  const handleCapture = () => run(() => {
+    onCapture(name.trim() || `pose-${Object.keys(poses).length + 1}`)
+    setName('')
+  })
+
+  const handleExport = () => {
+    downloadFile(library.exportJSON(), 'camera-poses.json', 'application/json')
+  }
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+    const text = await file.text()
+    run(() => library.importJSON(text))
+  }
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '20px',
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: '#00ff00',
+      padding: '12px 15px',
+      borderRadius: '10px',
+      border: '1px solid #00ff00',
+      fontFamily: 'monospace',
+      fontSize: '11px',
+      width: '340px',
+      maxHeight: '40vh',
+      overflow: 'auto'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0, color: '#00ffff', fontSize: '14px' }}>
+          📸 Camera Poses ({Object.keys(poses).length})
+        </h3>
+        <button onClick={() => setCollapsed(!collapsed)} style={buttonStyle}>
+          {collapsed ? 'Show' : 'Hide'}
+        </button>
+      </div>
+
+      {!collapsed && (
+        <div style={{ marginTop: '10px' }}>
+          {/* 记录当前视角 */}
+          <div style={{ display: 'flex', marginBottom: '8px' }}>
+            <input
+              value={name}
+              onChange={event => setName(event.target.value)}
+              onKeyDown={event => event.key === 'Enter' && handleCapture()}
+              placeholder="pose name"
+              style={{
+                flex: 1,
+                marginRight: '6px',
+                background: '#111',
+                border: '1px solid #336633',
+                color: '#00ff00',
+                fontFamily: 'monospace',
+                fontSize: '11px',
+                padding: '2px 6px'
+              }}
+            />
+            <button onClick={handleCapture} style={{ ...buttonStyle, marginRight: 0 }}>
+              Capture current view
+            </button>
+          </div>
+
+          {/* 已保存的机位 */}
+          {Object.entries(poses).map(([poseName, pose]) => (
+            <div key={poseName} style={{ borderTop: '1px solid #333', padding: '6px 0' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span style={{ color: '#ffff00' }}>{poseName}</span>
+                <button onClick={() => run(() => library.remove(poseName))} style={{ ...buttonStyle, marginRight: 0 }}>
+                  ✖
+                </button>
+              </div>
+              <div style={{ color: '#cccccc' }}>
+                pos [{pose.position.join(', ')}] · {pose.target ? `target [${pose.target.join(', ')}]` : `rot [${pose.rotation.join(', ')}]`} · fov {pose.fov}
+              </div>
+            </div>
+          ))}
+
+          {/* 清单机位使用哪个保存的机位 */}
+          <div style={{ borderTop: '1px solid #333', paddingTop: '6px' }}>
+            {shots.map(shot => (
+              <div key={shot.id} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                <span>🎯 {shot.label}</span>
+                <select
+                  value={assignments[shot.id] || ''}
+                  onChange={event => run(() => library.assign(shot.id, event.target.value || null))}
+                  style={{ background: '#111', color: '#00ff00', border: '1px solid #336633', fontFamily: 'monospace', fontSize: '11px' }}
+                >
+                  <option value="">manifest</option>
+                  {Object.keys(poses).map(poseName => (
+                    <option key={poseName} value={poseName}>{poseName}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {/* 导出/导入 */}
+          <div style={{ marginTop: '8px' }}>
+            <button onClick={handleExport} style={buttonStyle}>📤 Export JSON</button>
+            <button onClick={() => fileInputRef.current.click()} style={buttonStyle}>📥 Import JSON</button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+          </div>
+
+          {error && <div style={{ color: '#ff6666', marginTop: '6px' }}>❌ {error}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CameraPosePanel
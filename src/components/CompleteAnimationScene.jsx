@@ -1,32 +1,48 @@
-import React, { useRef, useEffect, useState, forwardRef, useImperativeHandle } from 'react'
-import { useFrame } from '@react-three/fiber'
-import { useGLTF } from '@react-three/drei'
+import React, { useRef, useEffect, useLayoutEffect, useState, forwardRef, useImperativeHandle } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
 import AnimatedCamera from './AnimatedCamera.jsx'
 import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { getMeshGroupNodes } from '../systems/SceneManifest.js'
+import { useSharedAsset } from '../hooks/useSharedAsset.js'
+import { DIAGNOSTIC_CODES } from '../systems/Diagnostics.js'
+import { LOOP_MODES, DEFAULT_PLAYBACK_SETTINGS, advancePlayback, getRestartTime } from '../systems/Playback.js'
+import { PlaybackStateMachine, PLAYBACK_STATES, PLAYBACK_EVENTS } from '../systems/PlaybackStateMachine.js'
+import { animationClock } from '../systems/AnimationClock.js'
+import { resolveDeepLinkTime } from '../systems/DeepLink.js'
+import { cameraPoseLibrary, capturePose } from '../systems/CameraPoses.js'
+import { keyframeEditor } from '../systems/KeyframeEditor.js'
+import { MixerPlaybackBackend, PLAYBACK_BACKENDS } from '../systems/MixerBackend.js'
 import * as THREE from 'three'
 
 /**
  * 完整动画场景组件
  * 集成相机动画、环动画和粒子系统
+ * 每帧变化的时间、阶段和相机状态写入animationClock而不是React状态，界面通过订阅时钟按节流间隔刷新
+ * playbackBackend为mixer时由THREE.AnimationMixer驱动相机和环（见MixerPlaybackBackend），用于与默认的sampler后端对比
  */
 const CompleteAnimationScene = forwardRef(({ 
   onAnimationInfoChange,
-  onPlayingChange,
-  onTimeChange,
-  onCameraUpdate
+  onPlaybackStateChange,
+  onPlaybackSettingsChange,
+  onCameraOverrideChange,
+  deepLink = null,
+  debugCamera = false,
+  playbackBackend = PLAYBACK_BACKENDS.SAMPLER
 }, ref) => {
   const sceneRef = useRef()
-  const [isInitialized, setIsInitialized] = useState(false)
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [currentTime, setCurrentTime] = useState(0)
+  const [playbackMachine] = useState(() => new PlaybackStateMachine())
+  const [playbackState, setPlaybackState] = useState(playbackMachine.state)
   const [animationInfo, setAnimationInfo] = useState(null)
-  const [cameraState, setCameraState] = useState(null)
-  const [phase1Time, setPhase1Time] = useState(0) // Phase 1独立的时间计数
-
-  const [currentPhase, setCurrentPhase] = useState({ phase: 1, phaseTime: 0, progress: 0 })
-
-  // 加载v6模型用于显示静态环
-  const gltfResult = useGLTF('/LOST_cut2_v6-transformed.glb')
+  const [playbackSettings, setPlaybackSettings] = useState(DEFAULT_PLAYBACK_SETTINGS)
+  const [cameraOverride, setCameraOverride] = useState(null) // 深链接中的自由相机机位，播放或停止时解除
+  const [mixerBackend] = useState(() => new MixerPlaybackBackend(multiSourceAnimationExtractor))
+  const activeMixer = playbackBackend === PLAYBACK_BACKENDS.MIXER ? mixerBackend : null
+  const clock = animationClock
+
+  // 加载v6模型用于显示静态环（与提取器共享同一份GLB）
+  const manifest = multiSourceAnimationExtractor.manifest
+  const getThreeState = useThree(state => state.get)
+  const gltfResult = useSharedAsset(manifest.model.url, 'model')
   const { nodes: v6Nodes, materials: v6Materials } = gltfResult
   
   // 调试v6模型加载状态
@@ -43,23 +59,58 @@ const CompleteAnimationScene = forwardRef(({
       console.log('   Materials数量:', Object.keys(v6Materials).length) 
       console.log('   Materials列表:', Object.keys(v6Materials))
       console.log('   重要节点检查:')
-      console.log('   - 網格001:', !!v6Nodes.網格001)
-      console.log('   - 網格002:', !!v6Nodes.網格002) 
-      console.log('   - 網格003:', !!v6Nodes.網格003)
-      console.log('   - PaletteMaterial001:', !!v6Materials.PaletteMaterial001)
-      
-      // 检查所有网格节点
-      Object.keys(v6Nodes).forEach(nodeName => {
-        if (nodeName.includes('網格')) {
-          console.log(`   - ${nodeName}:`, !!v6Nodes[nodeName])
+      Object.entries(manifest.rings).forEach(([ringId, ring]) => {
+        const parts = getMeshGroupNodes(v6Nodes, ring.meshGroup)
+        console.log(`   - ${ringId} ${ring.meshGroup}: ${parts.length} parts`)
+        if (parts.length === 0) {
+          multiSourceAnimationExtractor.diagnostics.report({
+            code: DIAGNOSTIC_CODES.MISSING_MESH_GROUP,
+            source: ringId,
+            url: manifest.model.url,
+            reason: 'Missing object',
+            message: `v6 model has no "${ring.meshGroup}" node`,
+            fallback: `${ringId} is not rendered`,
+            details: { meshGroup: ring.meshGroup }
+          })
         }
       })
+      console.log(`   - ${manifest.model.material}:`, !!v6Materials[manifest.model.material])
     } else {
       console.warn('⚠️ v6模型加载失败或还在加载中')
-      console.log('   文件路径: /LOST_cut2_v6-transformed.glb')
-      console.log('   请确认文件存在于: /Users/quan/cursor/fellou_try_v6/public/LOST_cut2_v6-transformed.glb')
+      console.log(`   文件路径: ${manifest.model.url}`)
+      console.log('   请确认文件存在于public目录中')
     }
-  }, [v6Nodes, v6Materials, gltfResult])
+  }, [v6Nodes, v6Materials, gltfResult, manifest])
+
+  // 机位库中的机位指定覆盖清单机位，mixer的相机clip随之重新创建
+  // 布局效果早于AnimatedCamera应用初始机位的效果，首帧即使用保存的机位
+  useLayoutEffect(() => cameraPoseLibrary.subscribe(() => {
+    multiSourceAnimationExtractor.setCameraShotOverrides(cameraPoseLibrary.getShotOverrides())
+    mixerBackend.reset()
+  }), [mixerBackend])
+
+  // 关键帧编辑改变了clip时长时，时间线已重新解析，更新动画信息
+  useEffect(() => keyframeEditor.subscribe(({ timelineChanged }) => {
+    mixerBackend.reset() // mixer的clip是轨道数据的副本，编辑后重新创建
+    if (!timelineChanged) return
+    const info = buildAnimationInfo(multiSourceAnimationExtractor.animationData)
+    setAnimationInfo(info)
+    if (onAnimationInfoChange) onAnimationInfoChange(info)
+  }), [onAnimationInfoChange, mixerBackend])
+
+  // 跟随状态机更新播放状态并通知父组件
+  useEffect(() => playbackMachine.subscribe(({ state, event }) => {
+    setPlaybackState(state)
+    if (event === PLAYBACK_EVENTS.PLAY || event === PLAYBACK_EVENTS.STOP) setCameraOverride(null)
+  }), [playbackMachine])
+
+  useEffect(() => {
+    if (onPlaybackStateChange) onPlaybackStateChange(playbackState)
+  }, [playbackState, onPlaybackStateChange])
+
+  useEffect(() => {
+    if (onCameraOverrideChange) onCameraOverrideChange(cameraOverride)
+  }, [cameraOverride, onCameraOverrideChange])
 
   // 初始化多源动画系统
   useEffect(() => {
@@ -71,30 +122,12 @@ const CompleteAnimationScene = forwardRef(({
         const animationData = await multiSourceAnimationExtractor.initialize()
         
         // 构建动画信息
-        const info = {
-          v6Original: animationData.v6Original ? {
-            name: 'v6 Original Animation',
-            duration: animationData.v6Original.duration,
-            tracks: animationData.v6Original.metadata.tracks.length
-          } : null,
-          camera: animationData.camera ? {
-            name: 'Camera Animation',
-            duration: animationData.camera.duration,
-            tracks: animationData.camera.metadata.tracks.length
-          } : null,
-          rings: Object.entries(animationData.rings).map(([ringId, data]) => ({
-            id: ringId,
-            name: data?.metadata.objectName || ringId,
-            duration: data?.duration || 0,
-            tracks: data?.metadata.tracks.length || 0,
-            hasAnimation: !!data
-          })),
-          totalDuration: multiSourceAnimationExtractor.getDuration(),
-          phaseDurations: multiSourceAnimationExtractor.getPhaseDurations()
-        }
+        const info = buildAnimationInfo(animationData)
 
         setAnimationInfo(info)
-        setIsInitialized(true)
+        if (playbackMachine.send(PLAYBACK_EVENTS.LOADED)) {
+          applyDeepLink(deepLink, info.segments)
+        }
 
         // 通知父组件
         if (onAnimationInfoChange) {
@@ -105,250 +138,243 @@ const CompleteAnimationScene = forwardRef(({
         
       } catch (error) {
         console.error('❌ Failed to initialize Complete Animation Scene:', error)
+        playbackMachine.send(PLAYBACK_EVENTS.FAILED)
       }
     }
 
     initializeAnimations()
-  }, [onAnimationInfoChange])
+  }, [onAnimationInfoChange, playbackMachine, deepLink])
+
+  // 从深链接指定的时刻开始：跳转到该时间，paused时停住，否则从该时间开始播放
+  const applyDeepLink = (link, segments) => {
+    if (!link) return
+
+    if (link.rate !== undefined) updatePlaybackSettings({ rate: link.rate })
+    if (link.camera) setCameraOverride(link.camera)
+
+    const time = resolveDeepLinkTime(link, segments)
+    if (time === null && !link.paused) return
+
+    playbackMachine.send(PLAYBACK_EVENTS.SEEK)
+    clock.seek(Math.min(Math.max(time ?? 0, 0), multiSourceAnimationExtractor.getDuration()))
+    if (!link.paused) playbackMachine.send(PLAYBACK_EVENTS.PLAY)
+  }
+
+  // 更新播放设置并通知父组件
+  const updatePlaybackSettings = (changes) => {
+    const settings = { ...playbackSettings, ...changes }
+    setPlaybackSettings(settings)
+    if (onPlaybackSettingsChange) onPlaybackSettingsChange(settings)
+  }
 
   // 暴露控制方法给父组件
   useImperativeHandle(ref, () => ({
     playAnimation: () => {
-      if (isInitialized) {
-        setIsPlaying(true)
-        if (onPlayingChange) onPlayingChange(true)
-        console.log('▶️ Playing complete animation')
-      }
+      if (!playbackMachine.can(PLAYBACK_EVENTS.PLAY)) return
+
+      // once模式已停在终点时从头播放
+      const restartTime = getRestartTime(clock.time, playbackSettings, multiSourceAnimationExtractor.getDuration())
+      if (restartTime !== clock.time) clock.seek(restartTime)
+      playbackMachine.send(PLAYBACK_EVENTS.PLAY)
     },
     stopAnimation: () => {
-      setIsPlaying(false)
-      setCurrentTime(0)
-      setPhase1Time(0) // 重置Phase 1时间
-      if (onPlayingChange) onPlayingChange(false)
-      if (onTimeChange) onTimeChange(0)
-      console.log('⏹️ Stopped complete animation')
+      if (!playbackMachine.send(PLAYBACK_EVENTS.STOP)) return
+
+      // 回到空闲展示：时间线和空闲循环都从头开始
+      clock.reset()
     },
     pauseAnimation: () => {
-      setIsPlaying(false)
-      if (onPlayingChange) onPlayingChange(false)
-      console.log('⏸️ Paused complete animation')
+      playbackMachine.send(PLAYBACK_EVENTS.PAUSE)
     },
     seekTo: (time) => {
-      setCurrentTime(time)
-      if (onTimeChange) onTimeChange(time)
+      if (!playbackMachine.can(PLAYBACK_EVENTS.SEEK)) return
+
+      playbackMachine.send(PLAYBACK_EVENTS.SEEK)
+      clock.seek(Math.min(Math.max(time, 0), multiSourceAnimationExtractor.getDuration()))
+    },
+    setPlaybackRate: (rate) => {
+      if (!Number.isFinite(rate)) {
+        throw new Error(`Invalid playback rate ${rate}`)
+      }
+      updatePlaybackSettings({ rate })
+    },
+    setLoopMode: (loopMode) => {
+      if (!Object.values(LOOP_MODES).includes(loopMode)) {
+        throw new Error(`Unknown loop mode "${loopMode}"`)
+      }
+      clock.direction = 1
+      updatePlaybackSettings({ loopMode })
+    },
+    setLoopRange: (start, end) => {
+      // 传入null清除A/B区间
+      const loopRange = start === null || start === undefined
+        ? null
+        : { start: Math.min(start, end), end: Math.max(start, end) }
+      updatePlaybackSettings({ loopRange })
+    },
+    getPlaybackSettings: () => playbackSettings,
+    getPlaybackState: () => playbackMachine.state,
+    getClock: () => clock,
+    captureCameraPose: (name) => {
+      // 记录当前显示的相机（调试相机时看向OrbitControls的目标点）
+      const { camera, controls } = getThreeState()
+      return cameraPoseLibrary.save(name, capturePose(camera, controls?.target))
     },
     getCameraControlData: () => ({
-      currentPhase
+      currentPhase: clock.phase
     })
   }))
 
-  // 动画循环
+  // 动画循环（优先级-1：在相机和环读取时钟之前推进时间，且不接管渲染）
   useFrame((state, deltaTime) => {
-    if (!isInitialized) return
+    const machineState = playbackMachine.state
+    if (machineState === PLAYBACK_STATES.LOADING || machineState === PLAYBACK_STATES.ERROR) return
 
-    if (isPlaying) {
-      // 播放中：更新总体动画时间
-      const newTime = currentTime + deltaTime
+    if (machineState === PLAYBACK_STATES.PLAYING) {
+      // 播放中：按播放速率和循环模式推进总体动画时间
       const totalDuration = multiSourceAnimationExtractor.getDuration()
-      
-      // 循环播放
-      const normalizedTime = totalDuration > 0 ? newTime % totalDuration : 0
-      
-      setCurrentTime(normalizedTime)
-      if (onTimeChange) onTimeChange(normalizedTime)
-    } else {
-      // 未播放时：更新Phase 1的独立时间（让圆环转动）
-      const newPhase1Time = phase1Time + deltaTime
-      const v6Duration = multiSourceAnimationExtractor.animationData?.v6Original?.duration || 10
-      const normalizedPhase1Time = v6Duration > 0 ? newPhase1Time % v6Duration : 0
-      
-      setPhase1Time(normalizedPhase1Time)
+      const next = advancePlayback(clock.time, deltaTime, clock.direction, playbackSettings, totalDuration)
+      clock.time = next.time
+      clock.direction = next.direction
+
+      // once模式播放结束后停在终点
+      if (next.ended) playbackMachine.send(PLAYBACK_EVENTS.END)
+    } else if (machineState === PLAYBACK_STATES.IDLE) {
+      // 空闲展示：第一个片段在原地循环（暂停和结束时保持当前时间不动）
+      const introDuration = multiSourceAnimationExtractor.getCurrentPhase(0)?.segment.duration || 10
+      clock.attractTime = introDuration > 0 ? (clock.attractTime + deltaTime) % introDuration : 0
     }
 
-    // 更新当前阶段信息
+    // 空闲展示时显示循环中的第一个片段，其余状态显示时间线上的当前时间
+    clock.displayTime = machineState === PLAYBACK_STATES.IDLE ? clock.attractTime : clock.time
+
+    // 更新当前阶段信息（与画面一致，空闲展示时为循环中的片段）
     if (multiSourceAnimationExtractor.isReady()) {
-      const phaseInfo = multiSourceAnimationExtractor.getCurrentPhase(currentTime)
-      setCurrentPhase(phaseInfo)
-    }
-  })
+      clock.phase = multiSourceAnimationExtractor.getCurrentPhase(clock.displayTime)
 
-  // 处理相机更新
-  const handleCameraUpdate = (cameraData) => {
-    setCameraState(cameraData)
-    if (onCameraUpdate) onCameraUpdate(cameraData)
-  }
+      // mixer后端在相机和环的useFrame之前更新它们
+      if (activeMixer) activeMixer.update(clock.displayTime)
+    }
+  }, -1)
 
+  // 所有useFrame都执行完后按节流间隔通知界面
+  useFrame(() => clock.publish(), 0)
 
   return (
     <group ref={sceneRef}>
       {/* 动画相机 */}
       <AnimatedCamera
         animationExtractor={multiSourceAnimationExtractor}
-        isPlaying={isPlaying}
-        currentTime={currentTime}
-        onCameraUpdate={handleCameraUpdate}
+        playbackState={playbackState}
+        clock={clock}
+        poseOverride={cameraOverride}
+        mixerBackend={activeMixer}
+        debug={debugCamera}
       />
 
       {/* 动画环（使用v6几何体 + Scenes B动画数据） */}
       <AnimatedRings
         animationExtractor={multiSourceAnimationExtractor}
-        isPlaying={isPlaying}
-        currentTime={currentTime}
-        phase1Time={phase1Time}
+        playbackState={playbackState}
+        clock={clock}
+        mixerBackend={activeMixer}
         v6Nodes={v6Nodes}
         v6Materials={v6Materials}
       />
 
 
-      {/* 素白艺术体 */}
-      {v6Nodes['素白艺术™_-_subycnvip'] && v6Materials.PaletteMaterial002 && (
-        <mesh 
-          name="素白艺术™_-_subycnvip" 
-          geometry={v6Nodes['素白艺术™_-_subycnvip'].geometry} 
-          material={v6Materials.PaletteMaterial002} 
-          position={[-2.372, 15.102, -2.263]} 
-          rotation={[-0.834, -0.414, -1.988]} 
-          scale={0.037} 
-        />
-      )}
+      {/* 清单中声明的静态道具（如素白艺术体） */}
+      {(manifest.props || []).map(prop => (
+        v6Nodes[prop.node] && v6Materials[prop.material] && (
+          <mesh 
+            key={prop.node}
+            name={prop.node} 
+            geometry={v6Nodes[prop.node].geometry} 
+            material={v6Materials[prop.material]} 
+            position={prop.position} 
+            rotation={prop.rotation} 
+            scale={prop.scale} 
+          />
+        )
+      ))}
 
     </group>
   )
 })
 
 
+/**
+ * 构建界面显示的动画信息
+ */
+function buildAnimationInfo(animationData) {
+  return {
+    v6Original: animationData.v6Original ? {
+      name: 'v6 Original Animation',
+      duration: animationData.v6Original.duration,
+      tracks: animationData.v6Original.metadata.tracks.length
+    } : null,
+    camera: animationData.camera ? {
+      name: 'Camera Animation',
+      duration: animationData.camera.duration,
+      tracks: animationData.camera.metadata.tracks.length
+    } : null,
+    rings: Object.entries(animationData.rings).map(([ringId, data]) => ({
+      id: ringId,
+      name: data?.metadata.objectName || ringId,
+      duration: data?.duration || 0,
+      tracks: data?.metadata.tracks.length || 0,
+      hasAnimation: !!data
+    })),
+    totalDuration: multiSourceAnimationExtractor.getDuration(),
+    phaseDurations: multiSourceAnimationExtractor.getPhaseDurations(),
+    segments: multiSourceAnimationExtractor.getTimelineSegments()
+  }
+}
+
 /**
  * 动画环组件 - 使用v6模型几何体 + Scenes B动画数据
+ * 环的名称、网格组和初始变换来自场景清单
  */
-function AnimatedRings({ animationExtractor, isPlaying, currentTime, phase1Time, v6Nodes, v6Materials }) {
-  const ring1Ref = useRef()
-  const ring2Ref = useRef()
-  const ring3Ref = useRef()
+function AnimatedRings({ animationExtractor, playbackState, clock, mixerBackend = null, v6Nodes, v6Materials }) {
+  const ringRefs = useRef({})
+  const transformsRef = useRef({ rings: {} }) // 每帧复用的变换结果
+  const manifest = animationExtractor.manifest
+  const material = v6Materials?.[manifest.model.material]
+
+  // mixer后端驱动时由后端写入环的变换
+  useEffect(() => {
+    if (!mixerBackend) return
+    Object.entries(ringRefs.current).forEach(([ringId, ring]) => {
+      if (ring) mixerBackend.bindRing(ringId, ring)
+    })
+  }, [mixerBackend, v6Nodes, v6Materials])
 
   useFrame(() => {
-    if (!animationExtractor?.isReady()) return
-    
-    // 决定使用哪个时间：播放中用currentTime，Phase 1静态时用phase1Time
-    const phaseInfo = animationExtractor.getCurrentPhase(currentTime)
-    const shouldAnimate = isPlaying || phaseInfo.phase === 1
-    
-    
-    if (!shouldAnimate) return
+    if (mixerBackend || !animationExtractor?.isReady() || playbackState === PLAYBACK_STATES.LOADING) return
 
     try {
-      // Phase 1且未播放时，使用phase1Time来播放v6原始动画
-      const timeToUse = (!isPlaying && phaseInfo.phase === 1) ? phase1Time : currentTime
-      
-      // 获取所有环的变换数据（包含阶段信息）
-      const transforms = animationExtractor.getAllTransformsAtTime(timeToUse)
-      const currentPhase = transforms.phase
-      
-      // 只在Phase 3中进行结尾调整
-      let isInEndAdjustment = false
-      let smoothFactor = 0
-      
-      if (currentPhase.phase === 3) {
-        const totalDuration = animationExtractor.getDuration()
-        const adjustDuration = 1.5 // 与相机调整时间同步
-        const endAdjustStartTime = totalDuration - adjustDuration
-        isInEndAdjustment = currentTime >= endAdjustStartTime
-        
-        // 平滑调整因子 (0 到 1)
-        const adjustFactor = isInEndAdjustment 
-          ? Math.min(1, (currentTime - endAdjustStartTime) / adjustDuration)
-          : 0
-        
-        // 使用与相机相同的高级缓动函数
-        const easeInOutCubic = (t) => {
-          return t < 0.5 
-            ? 4 * t * t * t 
-            : 1 - Math.pow(-2 * t + 2, 3) / 2
-        }
-        
-        smoothFactor = easeInOutCubic(adjustFactor)
-      }
-      
-
-      // 更新Ring 1 - Scenes_B_00100
-      if (ring1Ref.current && transforms.rings.ring1) {
-        const t = transforms.rings.ring1
-        if (t.position) {
-          // 保持原始位置，不做任何调整
-          ring1Ref.current.position.set(t.position.x, t.position.y, t.position.z)
-        }
-        if (t.rotation) {
-          if (t.rotation.w !== undefined) {
-            const quat = new THREE.Quaternion(t.rotation.x, t.rotation.y, t.rotation.z, t.rotation.w)
-            ring1Ref.current.setRotationFromQuaternion(quat)
-          } else {
-            ring1Ref.current.rotation.set(t.rotation.x, t.rotation.y, t.rotation.z)
-          }
-        }
-        if (t.scale) {
-          // 只在Phase 3的结尾调整中放大
-          const scaleMultiplier = (currentPhase.phase === 3 && isInEndAdjustment) ? 1 + smoothFactor * 0.5 : 1
-          
-          ring1Ref.current.scale.set(
-            t.scale.x * scaleMultiplier, 
-            t.scale.y * scaleMultiplier, 
-            t.scale.z * scaleMultiplier
-          )
-        }
-      }
+      // 获取所有环的变换数据（已叠加结尾修饰器），空闲展示时displayTime为循环中的第一个片段时间
+      const transforms = animationExtractor.getAllTransformsAtTime(clock.displayTime, transformsRef.current)
 
-      // 更新Ring 2 - Scenes_B_0023
-      if (ring2Ref.current && transforms.rings.ring2) {
-        const t = transforms.rings.ring2
-        if (t.position) {
-          // 保持原始位置，不做任何调整
-          ring2Ref.current.position.set(t.position.x, t.position.y, t.position.z)
-        }
-        if (t.rotation) {
-          if (t.rotation.w !== undefined) {
-            const quat = new THREE.Quaternion(t.rotation.x, t.rotation.y, t.rotation.z, t.rotation.w)
-            ring2Ref.current.setRotationFromQuaternion(quat)
-          } else {
-            ring2Ref.current.rotation.set(t.rotation.x, t.rotation.y, t.rotation.z)
-          }
-        }
-        if (t.scale) {
-          // 只在Phase 3的结尾调整中放大
-          const scaleMultiplier = (currentPhase.phase === 3 && isInEndAdjustment) ? 1 + smoothFactor * 0.5 : 1
-          
-          ring2Ref.current.scale.set(
-            t.scale.x * scaleMultiplier, 
-            t.scale.y * scaleMultiplier, 
-            t.scale.z * scaleMultiplier
-          )
-        }
-      }
+      Object.entries(transforms.rings).forEach(([ringId, t]) => {
+        const ring = ringRefs.current[ringId]
+        if (!ring || !t) return
 
-      // 更新Ring 3 - Scenes_B_00100001
-      if (ring3Ref.current && transforms.rings.ring3) {
-        const t = transforms.rings.ring3
         if (t.position) {
           // 保持原始位置，不做任何调整
-          ring3Ref.current.position.set(t.position.x, t.position.y, t.position.z)
+          ring.position.set(t.position.x, t.position.y, t.position.z)
         }
         if (t.rotation) {
           if (t.rotation.w !== undefined) {
-            const quat = new THREE.Quaternion(t.rotation.x, t.rotation.y, t.rotation.z, t.rotation.w)
-            ring3Ref.current.setRotationFromQuaternion(quat)
+            ring.quaternion.set(t.rotation.x, t.rotation.y, t.rotation.z, t.rotation.w)
           } else {
-            ring3Ref.current.rotation.set(t.rotation.x, t.rotation.y, t.rotation.z)
+            ring.rotation.set(t.rotation.x, t.rotation.y, t.rotation.z)
           }
         }
         if (t.scale) {
-          // 只在Phase 3的结尾调整中放大
-          const scaleMultiplier = (currentPhase.phase === 3 && isInEndAdjustment) ? 1 + smoothFactor * 0.5 : 1
-          
-          ring3Ref.current.scale.set(
-            t.scale.x * scaleMultiplier, 
-            t.scale.y * scaleMultiplier, 
-            t.scale.z * scaleMultiplier
-          )
+          ring.scale.set(t.scale.x, t.scale.y, t.scale.z)
         }
-      }
+      })
 
     } catch (error) {
       console.error('Error updating animated rings:', error)
@@ -362,125 +388,21 @@ function AnimatedRings({ animationExtractor, isPlaying, currentTime, phase1Time,
 
   return (
     <group name="AnimatedRings">
-      {/* Ring 1 - 使用v6几何体 + Scenes B 00100动画 */}
-      <group 
-        ref={ring1Ref} 
-        name="Scenes_B_00100_animated" 
-        position={[0.609, 14.249, -5.731]} 
-        rotation={[-0.018, 0.004, 2.077]} 
-        scale={0.026}
-      >
-        {v6Nodes.網格003 && (
-          <mesh geometry={v6Nodes.網格003.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_1 && (
-          <mesh geometry={v6Nodes.網格003_1.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_2 && (
-          <mesh geometry={v6Nodes.網格003_2.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_3 && (
-          <mesh geometry={v6Nodes.網格003_3.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_4 && (
-          <mesh geometry={v6Nodes.網格003_4.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_5 && (
-          <mesh geometry={v6Nodes.網格003_5.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_6 && (
-          <mesh geometry={v6Nodes.網格003_6.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_7 && (
-          <mesh geometry={v6Nodes.網格003_7.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_8 && (
-          <mesh geometry={v6Nodes.網格003_8.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格003_9 && (
-          <mesh geometry={v6Nodes.網格003_9.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-      </group>
-
-      {/* Ring 2 - 使用v6几何体 + Scenes B 0023动画 */}
-      <group 
-        ref={ring2Ref} 
-        name="Scenes_B_0023_animated" 
-        position={[11.171, 3.182, 11.142]} 
-        rotation={[-1.132, -0.089, -2.546]} 
-        scale={0.039}
-      >
-        {v6Nodes.網格002 && (
-          <mesh geometry={v6Nodes.網格002.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_1 && (
-          <mesh geometry={v6Nodes.網格002_1.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_2 && (
-          <mesh geometry={v6Nodes.網格002_2.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_3 && (
-          <mesh geometry={v6Nodes.網格002_3.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_4 && (
-          <mesh geometry={v6Nodes.網格002_4.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_5 && (
-          <mesh geometry={v6Nodes.網格002_5.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_6 && (
-          <mesh geometry={v6Nodes.網格002_6.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_7 && (
-          <mesh geometry={v6Nodes.網格002_7.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_8 && (
-          <mesh geometry={v6Nodes.網格002_8.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格002_9 && (
-          <mesh geometry={v6Nodes.網格002_9.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-      </group>
-
-      {/* Ring 3 - 使用v6几何体 + Scenes B 00100.001动画 */}
-      <group 
-        ref={ring3Ref} 
-        name="Scenes_B_00100001_animated" 
-        position={[0.609, 0.7, 6.831]} 
-        rotation={[-0.024, 0, 2.269]} 
-        scale={[0.026, 0.026, 0.016]}
-      >
-        {v6Nodes.網格001 && (
-          <mesh geometry={v6Nodes.網格001.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_1 && (
-          <mesh geometry={v6Nodes.網格001_1.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_2 && (
-          <mesh geometry={v6Nodes.網格001_2.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_3 && (
-          <mesh geometry={v6Nodes.網格001_3.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_4 && (
-          <mesh geometry={v6Nodes.網格001_4.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_5 && (
-          <mesh geometry={v6Nodes.網格001_5.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_6 && (
-          <mesh geometry={v6Nodes.網格001_6.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_7 && (
-          <mesh geometry={v6Nodes.網格001_7.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_8 && (
-          <mesh geometry={v6Nodes.網格001_8.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-        {v6Nodes.網格001_9 && (
-          <mesh geometry={v6Nodes.網格001_9.geometry} material={v6Materials.PaletteMaterial001} />
-        )}
-      </group>
+      {Object.entries(manifest.rings).map(([ringId, ring]) => (
+        // 每个环使用v6网格组几何体 + 对应Scenes B动画
+        <group 
+          key={ringId}
+          ref={node => { ringRefs.current[ringId] = node }} 
+          name={ring.name} 
+          position={ring.position} 
+          rotation={ring.rotation} 
+          scale={ring.scale}
+        >
+          {getMeshGroupNodes(v6Nodes, ring.meshGroup).map(({ name, node }) => (
+            <mesh key={name} geometry={node.geometry} material={material} />
+          ))}
+        </group>
+      ))}
     </group>
   )
 }
@@ -0,0 +1,87 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { PerspectiveCamera, OrbitControls, Line, useHelper } from '@react-three/drei'
+import * as THREE from 'three'
+import { keyframeEditor } from '../systems/KeyframeEditor.js'
+
+const FRUSTUM_LENGTH = 5 // 视锥辅助线的长度（动画相机的far太远，直接显示会铺满场景）
+const KEYFRAME_RADIUS = 0.12
+
+/**
+ * 调试相机视图
+ * 用可自由环绕的相机观察场景，显示Camera.glb的位置路径、关键帧，以及动画相机的实时视锥
+ */
+function DebugCameraView({ animationExtractor, cameraRef, editor = keyframeEditor }) {
+  // 在动画数据加载前打开时路径为空，提取器通知数据就绪或关键帧被编辑后重新计算
+  const [cameraPath, setCameraPath] = useState(null)
+  useEffect(() => {
+    const update = () => setCameraPath(animationExtractor.getCameraPath())
+    const unsubscribeData = animationExtractor.subscribeAnimationData(update)
+    const unsubscribeEditor = editor.subscribe(update)
+    return () => {
+      unsubscribeData()
+      unsubscribeEditor()
+    }
+  }, [animationExtractor, editor])
+
+  // 路径的中心和尺寸，用于放置调试相机
+  const framing = useMemo(() => {
+    const box = new THREE.Box3()
+    const points = cameraPath ? cameraPath.samples : []
+    points.forEach(point => box.expandByPoint(new THREE.Vector3(point.x, point.y, point.z)))
+    box.expandByPoint(new THREE.Vector3(0, 0, 0))
+
+    const center = box.getCenter(new THREE.Vector3())
+    const radius = Math.max(box.getSize(new THREE.Vector3()).length(), 5)
+    return {
+      target: center.toArray(),
+      position: center.clone().add(new THREE.Vector3(1, 0.8, 1).normalize().multiplyScalar(radius * 1.2)).toArray()
+    }
+  }, [cameraPath])
+
+  // 复制动画相机位姿的短视锥代理相机
+  const frustumCamera = useMemo(() => new THREE.PerspectiveCamera(50, 1, 0.1, FRUSTUM_LENGTH), [])
+  const frustumRef = useMemo(() => ({ current: frustumCamera }), [frustumCamera])
+
+  useFrame(() => {
+    const camera = cameraRef.current
+    if (!camera) return
+
+    frustumCamera.position.copy(camera.position)
+    frustumCamera.quaternion.copy(camera.quaternion)
+    if (frustumCamera.fov !== camera.fov || frustumCamera.aspect !== camera.aspect) {
+      frustumCamera.fov = camera.fov
+      frustumCamera.aspect = camera.aspect
+      frustumCamera.updateProjectionMatrix()
+    }
+    frustumCamera.updateMatrixWorld()
+  })
+
+  useHelper(frustumRef, THREE.CameraHelper)
+
+  return (
+    <>
+      <PerspectiveCamera makeDefault position={framing.position} fov={50} near={0.1} far={10000} />
+      <OrbitControls makeDefault target={framing.target} />
+      <primitive object={frustumCamera} />
+
+      {cameraPath && (
+        <group name="CameraPath">
+          <Line
+            points={cameraPath.samples.map(point => [point.x, point.y, point.z])}
+            color="#00ffff"
+            lineWidth={2}
+          />
+          {cameraPath.keyframes.map(({ time, position }) => (
+            <mesh key={time} position={[position.x, position.y, position.z]}>
+              <sphereGeometry args={[KEYFRAME_RADIUS, 8, 6]} />
+              <meshBasicMaterial color="#ffff00" />
+            </mesh>
+          ))}
+        </group>
+      )}
+    </>
+  )
+}
+
+export default DebugCameraView
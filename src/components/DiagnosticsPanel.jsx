@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { DIAGNOSTIC_SEVERITY } from '../systems/Diagnostics.js'
+
+const SEVERITY_STYLES = {
+  [DIAGNOSTIC_SEVERITY.ERROR]: { icon: '❌', color: '#ff0000' },
+  [DIAGNOSTIC_SEVERITY.WARNING]: { icon: '⚠️', color: '#ffff00' },
+  [DIAGNOSTIC_SEVERITY.INFO]: { icon: 'ℹ️', color: '#00ffff' }
+}
+
+const buttonStyle = {
+  background: '#330000',
+  border: '1px solid #ff0000',
+  color: '#ff0000',
+  padding: '2px 8px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+}
+
+/**
+ * 诊断面板组件
+ * 列出加载和提取过程中的问题：诊断代码、动画源、原因以及使用的回退，可逐条或全部关闭
+ */
+function DiagnosticsPanel({ diagnostics = multiSourceAnimationExtractor.diagnostics }) {
+  const [entries, setEntries] = useState([])
+
+  useEffect(() => {
+    return diagnostics.subscribe(setEntries)
+  }, [diagnostics])
+
+  const visible = entries.filter(entry => !entry.dismissed)
+  if (visible.length === 0) return null
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      right: '20px',
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: '#00ff00',
+      padding: '15px',
+      borderRadius: '10px',
+      border: '1px solid #ff0000',
+      fontFamily: 'monospace',
+      fontSize: '11px',
+      width: '420px',
+      maxHeight: '40vh',
+      overflow: 'auto'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ margin: 0, color: '#ff6666', fontSize: '14px' }}>
+          🩺 Diagnostics ({visible.length})
+        </h3>
+        <button onClick={() => diagnostics.dismissAll()} style={buttonStyle}>
+          Dismiss all
+        </button>
+      </div>
+
+      {visible.map(entry => {
+        const { icon, color } = SEVERITY_STYLES[entry.severity] || SEVERITY_STYLES[DIAGNOSTIC_SEVERITY.ERROR]
+        return (
+          <div
+            key={entry.id}
+            style={{
+              borderTop: '1px solid #333',
+              padding: '6px 0',
+              display: 'flex',
+              gap: '8px'
+            }}
+          >
+            <div style={{ flex: 1 }}>
+              <div style={{ color }}>
+                {icon} {entry.code}{entry.source ? ` · ${entry.source}` : ''}{entry.reason ? ` · ${entry.reason}` : ''}
+              </div>
+              <div style={{ color: '#cccccc', wordBreak: 'break-word' }}>{entry.message}</div>
+              {entry.details?.availableObjects && (
+                <div style={{ color: '#888888', wordBreak: 'break-word' }}>
+                  Objects in file: {entry.details.availableObjects.join(', ')}
+                </div>
+              )}
+              {entry.fallback && (
+                <div style={{ color: '#00ff00' }}>↪ Fallback: {entry.fallback}</div>
+              )}
+            </div>
+            <button onClick={() => diagnostics.dismiss(entry.id)} style={{ ...buttonStyle, alignSelf: 'flex-start' }}>
+              ✕
+            </button>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default DiagnosticsPanel
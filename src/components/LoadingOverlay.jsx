@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { LOAD_STATUS } from '../systems/LoadingProgress.js'
+
+const STATUS_ICONS = {
+  [LOAD_STATUS.PENDING]: '⏳',
+  [LOAD_STATUS.LOADING]: '📥',
+  [LOAD_STATUS.LOADED]: '✅',
+  [LOAD_STATUS.ERROR]: '❌'
+}
+
+function formatMB(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1)
+}
+
+/**
+ * 加载进度面板组件
+ * 显示汇总进度条以及每个资源的状态和字节进度，标出仍在等待和加载失败的资源
+ */
+function LoadingOverlay({ visible = true }) {
+  const [snapshot, setSnapshot] = useState(null)
+
+  useEffect(() => {
+    return multiSourceAnimationExtractor.subscribeLoadingProgress(setSnapshot)
+  }, [])
+
+  if (!visible || !snapshot || snapshot.items.length === 0) return null
+
+  const percent = Math.round(snapshot.progress * 100)
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: '#00ff00',
+      padding: '20px',
+      borderRadius: '10px',
+      border: '1px solid #00ff00',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      minWidth: '420px'
+    }}>
+      <h3 style={{ margin: '0 0 10px 0', color: '#00ffff' }}>
+        📦 Loading Assets {percent}%
+      </h3>
+
+      {/* 汇总进度条 */}
+      <div style={{
+        width: '100%',
+        height: '8px',
+        background: '#333',
+        borderRadius: '4px',
+        overflow: 'hidden'
+      }}>
+        <div style={{
+          width: `${percent}%`,
+          height: '100%',
+          background: snapshot.failed.length > 0 ? '#ff0000' : '#00ff00',
+          transition: 'width 0.2s ease'
+        }} />
+      </div>
+      <div style={{ marginTop: '5px' }}>
+        {formatMB(snapshot.loaded)}MB{snapshot.total > 0 ? ` / ${formatMB(snapshot.total)}MB` : ''}
+        {' · '}{snapshot.items.length - snapshot.pending.length}/{snapshot.items.length} assets
+      </div>
+
+      {/* 逐资源进度 */}
+      <div style={{ marginTop: '10px', fontSize: '11px' }}>
+        {snapshot.items.map(item => (
+          <div
+            key={item.url}
+            style={{
+              color: item.status === LOAD_STATUS.ERROR
+                ? '#ff0000'
+                : item.status === LOAD_STATUS.LOADED ? '#00ff00' : '#ffff00'
+            }}
+          >
+            {STATUS_ICONS[item.status]} {item.labels.join(', ')}: {' '}
+            {item.status === LOAD_STATUS.ERROR
+              ? item.error
+              : `${formatMB(item.loaded)}MB${item.total > 0 ? ` / ${formatMB(item.total)}MB` : ''}`}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default LoadingOverlay
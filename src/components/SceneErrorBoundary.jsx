@@ -0,0 +1,35 @@
+import React from 'react'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { DIAGNOSTIC_CODES, classifyLoadError } from '../systems/Diagnostics.js'
+
+/**
+ * 场景错误边界
+ * 捕获Canvas内部抛出的错误（例如v6模型加载失败），记录到诊断面板而不是让整个页面白屏
+ */
+class SceneErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props)
+    this.state = { error: null }
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error) {
+    const { reason } = classifyLoadError(error)
+    multiSourceAnimationExtractor.diagnostics.report({
+      code: DIAGNOSTIC_CODES.SCENE_CRASHED,
+      source: 'scene',
+      reason,
+      message: error?.message || String(error)
+    })
+  }
+
+  render() {
+    if (this.state.error) return this.props.fallback || null
+    return this.props.children
+  }
+}
+
+export default SceneErrorBoundary
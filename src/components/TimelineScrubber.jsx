@@ -0,0 +1,183 @@
+import React, { useRef, useState } from 'react'
+
+const MARKER_COLORS = ['#00ffff', '#ffff00', '#ff66ff', '#ff8800', '#00ff88']
+
+/**
+ * 根据 getPhaseDurations() 的结果计算阶段边界
+ * 返回 [{ key, label, start, end }]，标签优先使用时间线片段的名称
+ */
+export function getPhaseMarkers(phaseDurations = {}, segments = []) {
+  let start = 0
+  return Object.entries(phaseDurations).map(([key, duration], index) => {
+    const segment = segments[index]
+    const marker = {
+      key,
+      label: segment ? `P${segment.phase} ${segment.label}` : key,
+      start,
+      end: start + duration
+    }
+    start += duration
+    return marker
+  })
+}
+
+/**
+ * 可拖动的时间线
+ * 显示阶段标记和A/B区间，悬停时预览光标处的时间，点击跳转，拖动时连续调用onSeek
+ */
+function TimelineScrubber({
+  currentTime,
+  totalDuration,
+  phaseDurations,
+  segments,
+  loopRange = null,
+  onSeek,
+  onScrubStart,
+  onScrubEnd
+}) {
+  const trackRef = useRef()
+  const [hoverTime, setHoverTime] = useState(null)
+  const [isScrubbing, setIsScrubbing] = useState(false)
+
+  const markers = getPhaseMarkers(phaseDurations, segments)
+  const toPercent = (time) => (totalDuration > 0 ? (time / totalDuration) * 100 : 0)
+
+  // 指针位置换算为时间线时间
+  const getTimeAtPointer = (event) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    const ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0
+    return Math.min(Math.max(ratio, 0), 1) * totalDuration
+  }
+
+  const handlePointerDown = (event) => {
+    if (!(totalDuration > 0)) return
+    event.currentTarget.setPointerCapture(event.pointerId)
+    setIsScrubbing(true)
+    if (onScrubStart) onScrubStart()
+    onSeek(getTimeAtPointer(event))
+  }
+
+  const handlePointerMove = (event) => {
+    if (!(totalDuration > 0)) return
+    const time = getTimeAtPointer(event)
+    setHoverTime(time)
+    if (isScrubbing) onSeek(time)
+  }
+
+  const handlePointerUp = (event) => {
+    if (!isScrubbing) return
+    event.currentTarget.releasePointerCapture(event.pointerId)
+    setIsScrubbing(false)
+    if (onScrubEnd) onScrubEnd()
+  }
+
+  const previewTime = isScrubbing ? currentTime : hoverTime
+
+  return (
+    <div style={{ position: 'relative', paddingTop: '14px', paddingBottom: '16px', userSelect: 'none' }}>
+      {/* 悬停/拖动时的时间预览 */}
+      {previewTime !== null && (
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          left: `${toPercent(previewTime)}%`,
+          transform: 'translateX(-50%)',
+          fontSize: '10px',
+          color: '#00ffff',
+          whiteSpace: 'nowrap',
+          pointerEvents: 'none'
+        }}>
+          {previewTime.toFixed(2)}s
+        </div>
+      )}
+
+      <div
+        ref={trackRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={() => setHoverTime(null)}
+        style={{
+          position: 'relative',
+          height: '12px',
+          background: '#333',
+          borderRadius: '3px',
+          cursor: totalDuration > 0 ? 'pointer' : 'default',
+          touchAction: 'none'
+        }}
+      >
+        {/* A/B循环区间 */}
+        {loopRange && (
+          <div style={{
+            position: 'absolute',
+            left: `${toPercent(loopRange.start)}%`,
+            width: `${toPercent(loopRange.end - loopRange.start)}%`,
+            height: '100%',
+            background: 'rgba(0, 255, 255, 0.35)',
+            pointerEvents: 'none'
+          }} />
+        )}
+
+        {/* 已播放部分 */}
+        <div style={{
+          position: 'absolute',
+          width: `${toPercent(currentTime)}%`,
+          height: '100%',
+          background: '#00ff00',
+          borderRadius: '3px',
+          opacity: 0.7,
+          pointerEvents: 'none'
+        }} />
+
+        {/* 阶段边界 */}
+        {markers.slice(1).map((marker, index) => (
+          <div key={marker.key} style={{
+            position: 'absolute',
+            left: `${toPercent(marker.start)}%`,
+            top: '-3px',
+            width: '2px',
+            height: '18px',
+            background: MARKER_COLORS[(index + 1) % MARKER_COLORS.length],
+            pointerEvents: 'none'
+          }} />
+        ))}
+
+        {/* 播放头 */}
+        <div style={{
+          position: 'absolute',
+          left: `${toPercent(currentTime)}%`,
+          top: '-2px',
+          width: '4px',
+          height: '16px',
+          marginLeft: '-2px',
+          background: '#ffffff',
+          borderRadius: '2px',
+          pointerEvents: 'none'
+        }} />
+      </div>
+
+      {/* 阶段标签 */}
+      {markers.map((marker, index) => (
+        <div key={marker.key} style={{
+          position: 'absolute',
+          bottom: 0,
+          left: `${toPercent(marker.start)}%`,
+          width: `${toPercent(marker.end - marker.start)}%`,
+          fontSize: '9px',
+          color: MARKER_COLORS[index % MARKER_COLORS.length],
+          overflow: 'hidden',
+          whiteSpace: 'nowrap',
+          textOverflow: 'ellipsis',
+          paddingLeft: '3px',
+          boxSizing: 'border-box',
+          pointerEvents: 'none'
+        }} title={marker.label}>
+          {marker.label}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TimelineScrubber
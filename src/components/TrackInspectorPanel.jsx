@@ -0,0 +1,472 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+import { keyframeEditor } from '../systems/KeyframeEditor.js'
+import { getTrackChannels, sampleTrackCurves, findQuaternionFlips, isFlatTrack } from '../systems/TrackAnalysis.js'
+import { useAnimationClock } from '../hooks/useAnimationClock.js'
+import { downloadFile } from '../systems/Download.js'
+
+const CHANNEL_COLORS = {
+  x: '#ff4444',
+  y: '#44ff44',
+  z: '#4488ff',
+  w: '#ffffff',
+  value: '#ffff00'
+}
+
+const GRAPH_WIDTH = 420
+const GRAPH_HEIGHT = 160
+const GRAPH_PADDING = 6
+const MAX_KEYFRAME_DOTS = 300 // 可见窗口内关键帧过多时不画圆点，提示放大
+const MIN_VIEW_SPAN = 0.05    // 放大后可见窗口的最小时长（秒）
+const WHEEL_ZOOM_SPEED = 0.002
+const PLAYHEAD_INTERVAL = 50
+
+const buttonStyle = {
+  background: '#111',
+  border: '1px solid #336633',
+  color: '#00ff00',
+  padding: '2px 8px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: '11px'
+}
+
+const inputStyle = {
+  width: '64px',
+  background: '#111',
+  border: '1px solid #336633',
+  color: '#00ff00',
+  fontFamily: 'monospace',
+  fontSize: '11px',
+  padding: '1px 4px'
+}
+
+/**
+ * 轨道检查器面板
+ * 按动画源列出所有提取的轨道，选中后把各通道画成随时间变化的曲线，播放头与当前显示时间同步
+ * 标出四元数符号翻转和没有变化的轨道，用于检查美术导出的问题
+ * 曲线图中可以直接编辑关键帧（见KeyframeEditor），修改后的动画可导出为GLB或动画缓存JSON
+ */
+function TrackInspectorPanel({ animationInfo, extractor = multiSourceAnimationExtractor, editor = keyframeEditor }) {
+  const [collapsed, setCollapsed] = useState(true)
+  const [selectedId, setSelectedId] = useState(null)
+  const [{ editedCount }, setEditState] = useState(editor.getSnapshot())
+
+  useEffect(() => editor.subscribe(setEditState), [editor])
+
+  // 动画数据加载完成后（animationInfo变化）重新列出轨道
+  const sources = useMemo(
+    () => (animationInfo ? extractor.getTrackInventory() : []),
+    [animationInfo, extractor]
+  )
+
+  const selected = useMemo(() => {
+    for (const source of sources) {
+      const entry = source.tracks.find(track => track.id === selectedId)
+      if (entry) return { source, ...entry }
+    }
+    return null
+  }, [sources, selectedId])
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: '#00ff00',
+      padding: '12px 15px',
+      borderRadius: '10px',
+      border: '1px solid #00ff00',
+      fontFamily: 'monospace',
+      fontSize: '11px',
+      width: collapsed ? 'auto' : `${GRAPH_WIDTH + 30}px`,
+      maxHeight: '70vh',
+      overflow: 'auto'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+        <h3 style={{ margin: 0, color: '#00ffff', fontSize: '14px' }}>
+          📈 Track Inspector
+        </h3>
+        <button onClick={() => setCollapsed(!collapsed)} style={buttonStyle}>
+          {collapsed ? 'Show' : 'Hide'}
+        </button>
+      </div>
+
+      {!collapsed && (
+        <div style={{ marginTop: '10px' }}>
+          {sources.length === 0 && <div style={{ color: '#888888' }}>No tracks extracted yet</div>}
+
+          {/* 按动画源分组的轨道列表 */}
+          {sources.map(source => (
+            <div key={source.id} style={{ marginBottom: '6px' }}>
+              <div style={{ color: '#ffff00' }}>{source.label}</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginLeft: '10px' }}>
+                {source.tracks.map(({ id, property, track }) => (
+                  <button
+                    key={id}
+                    onClick={() => setSelectedId(id === selectedId ? null : id)}
+                    style={{
+                      ...buttonStyle,
+                      border: `1px solid ${id === selectedId ? '#00ffff' : '#336633'}`,
+                      color: id === selectedId ? '#00ffff' : '#00ff00'
+                    }}
+                  >
+                    {editor.isEdited(track) ? '✎ ' : ''}{property} ({track.keyframes.length})
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {selected && (
+            <TrackGraph key={selected.id} sourceId={selected.source.id} track={selected.track} extractor={extractor} editor={editor} />
+          )}
+
+          {editedCount > 0 && (
+            <div style={{ marginTop: '8px', borderTop: '1px solid #333', paddingTop: '6px' }}>
+              ✎ {editedCount} edited track(s)
+              <button
+                onClick={() => downloadFile(editor.exportAnimationJSON(), 'animation-cache.json', 'application/json')}
+                style={{ ...buttonStyle, marginLeft: '8px' }}
+              >
+                📄 Download patched JSON
+              </button>
+              <button onClick={() => editor.revertAll()} style={{ ...buttonStyle, marginLeft: '6px' }}>
+                ↩ Revert all
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * 单条轨道的曲线图
+ * 滚轮以光标为中心缩放、放大后拖动空白处平移，只绘制和拾取可见窗口内的关键帧
+ * 点击关键帧选中，左右拖动预览新时间，松开时提交一次修改；双击空白处在该时间插入关键帧
+ */
+function TrackGraph({ sourceId, track, extractor, editor }) {
+  const { displayTime } = useAnimationClock(PLAYHEAD_INTERVAL)
+  const [{ version }, setEditState] = useState(editor.getSnapshot())
+  const [selectedKey, setSelectedKey] = useState(null)
+  const [view, setView] = useState(null) // 放大后的可见窗口 { start, span }，null为整条轨道
+  const [drag, setDrag] = useState(null) // { type: 'key', domain, time } 或 { type: 'pan', domain, originX }（domain为按下时的横轴范围）
+  const [error, setError] = useState(null)
+  const [exporting, setExporting] = useState(false)
+  const svgRef = useRef()
+  const wheelRef = useRef()
+
+  useEffect(() => editor.subscribe(setEditState), [editor])
+
+  // React的wheel监听是passive的，无法阻止面板滚动，直接在svg上注册
+  useEffect(() => {
+    const svg = svgRef.current
+    const handleWheel = (event) => wheelRef.current(event)
+    svg.addEventListener('wheel', handleWheel, { passive: false })
+    return () => svg.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  const start = track.times[0] ?? 0
+  const end = track.times[track.times.length - 1] ?? 0
+  const fullSpan = end > start ? end - start : 1
+  // 拖动时固定横轴范围，避免移动首尾关键帧时坐标随之变化
+  const domain = (drag?.type === 'key' && drag.domain) || view || { start, span: fullSpan }
+
+  const channels = getTrackChannels(track)
+  const curves = useMemo(
+    () => sampleTrackCurves(track, undefined, view && { start: view.start, end: view.start + view.span }),
+    [track, version, view]
+  )
+  const flips = useMemo(() => findQuaternionFlips(track), [track, version])
+  const flat = useMemo(() => isFlatTrack(track), [track, version])
+  const range = curves.max - curves.min || 1
+
+  const toX = (time) => GRAPH_PADDING + ((time - domain.start) / domain.span) * (GRAPH_WIDTH - GRAPH_PADDING * 2)
+  const toY = (value) => GRAPH_HEIGHT - GRAPH_PADDING - ((value - curves.min) / range) * (GRAPH_HEIGHT - GRAPH_PADDING * 2)
+  const toTime = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return domain.start + ((clientX - rect.left - GRAPH_PADDING) / (GRAPH_WIDTH - GRAPH_PADDING * 2)) * domain.span
+  }
+
+  // 拖动中的关键帧显示在预览时间
+  const getKeyTime = (index) => (drag?.type === 'key' && index === selectedKey ? drag.time : track.times[index])
+
+  // 可见窗口内的关键帧索引
+  const visibleKeys = useMemo(() => {
+    const indices = []
+    track.times.forEach((time, index) => {
+      if (time >= domain.start && time <= domain.start + domain.span) indices.push(index)
+    })
+    return indices
+  }, [track, version, domain.start, domain.span])
+  const showKeys = visibleKeys.length <= MAX_KEYFRAME_DOTS
+
+  // 当前片段使用该动画源时显示播放头
+  const clipTime = extractor.getSourceClipTime(sourceId, displayTime)
+  const keyframe = selectedKey !== null ? track.keyframes[selectedKey] : null
+  const modelPath = extractor.getTrackSource(sourceId)?.modelPath
+  // 提取完成后不再被场景使用的GLB已释放，导出时需要重新下载整个文件
+  const needsDownload = modelPath && !extractor.assets.peek(modelPath)
+
+  // 执行编辑操作并把错误显示在图下方
+  const run = (action) => {
+    try {
+      action()
+      setError(null)
+    } catch (actionError) {
+      console.error('❌ Keyframe edit failed:', actionError)
+      setError(actionError.message)
+    }
+  }
+
+  // 把可见窗口限制在轨道范围内，覆盖整条轨道时恢复为null
+  const setClampedView = (viewStart, span) => {
+    if (span >= fullSpan) {
+      setView(null)
+      return
+    }
+    setView({ start: Math.min(Math.max(viewStart, start), start + fullSpan - span), span })
+  }
+
+  wheelRef.current = (event) => {
+    event.preventDefault()
+    if (drag) return
+    const anchor = toTime(event.clientX)
+    const span = Math.max(domain.span * Math.exp(event.deltaY * WHEEL_ZOOM_SPEED), Math.min(MIN_VIEW_SPAN, fullSpan))
+    setClampedView(anchor - (anchor - domain.start) * (span / domain.span), span)
+  }
+
+  const handleKeyPointerDown = (event, index) => {
+    event.stopPropagation()
+    setSelectedKey(index)
+    setDrag({ type: 'key', domain, time: track.times[index] })
+    svgRef.current.setPointerCapture(event.pointerId)
+  }
+
+  const handlePointerDown = (event) => {
+    if (!view) return
+    setDrag({ type: 'pan', domain, originX: event.clientX })
+    svgRef.current.setPointerCapture(event.pointerId)
+  }
+
+  const handlePointerMove = (event) => {
+    if (drag?.type === 'key') {
+      const time = editor.clampKeyframeTime(track, selectedKey, toTime(event.clientX))
+      setDrag({ ...drag, time })
+    } else if (drag?.type === 'pan') {
+      const offset = ((event.clientX - drag.originX) / (GRAPH_WIDTH - GRAPH_PADDING * 2)) * drag.domain.span
+      setClampedView(drag.domain.start - offset, drag.domain.span)
+    }
+  }
+
+  const handlePointerUp = (event) => {
+    if (!drag) return
+    svgRef.current.releasePointerCapture(event.pointerId)
+    setDrag(null)
+    if (drag.type === 'key' && drag.time !== track.times[selectedKey]) {
+      run(() => editor.moveKeyframe(sourceId, track, selectedKey, drag.time))
+    }
+  }
+
+  const handleInsert = (time) => run(() => {
+    setSelectedKey(editor.insertKeyframe(sourceId, track, time))
+  })
+
+  const handleDelete = () => run(() => {
+    editor.deleteKeyframe(sourceId, track, selectedKey)
+    setSelectedKey(null)
+  })
+
+  const handleExportGLB = async () => {
+    setExporting(true)
+    try {
+      const glb = await editor.exportGLB(modelPath)
+      downloadFile(glb, modelPath.split('/').pop(), 'model/gltf-binary')
+      setError(null)
+    } catch (exportError) {
+      console.error('❌ GLB export failed:', exportError)
+      setError(exportError.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div style={{ marginTop: '10px', borderTop: '1px solid #333', paddingTop: '8px' }}>
+      <div>
+        {track.type} · {track.interpolation} · {track.keyframes.length} keys · {start.toFixed(2)}s → {end.toFixed(2)}s
+      </div>
+      <div>
+        view {domain.start.toFixed(2)}s → {(domain.start + domain.span).toFixed(2)}s
+        {!showKeys && <span style={{ color: '#ff6600' }}> · {visibleKeys.length} keys in view, scroll to zoom in and edit them</span>}
+        {view && (
+          <button onClick={() => setView(null)} style={{ ...buttonStyle, marginLeft: '6px' }}>⤢ Fit</button>
+        )}
+      </div>
+      <div>
+        range [{curves.min.toFixed(3)}, {curves.max.toFixed(3)}]
+        {flat && <span style={{ color: '#ff6600' }}> · ⚠️ flat track</span>}
+        {flips.length > 0 && <span style={{ color: '#ff4444' }}> · ⚠️ {flips.length} quaternion flip(s)</span>}
+      </div>
+
+      <svg
+        ref={svgRef}
+        width={GRAPH_WIDTH}
+        height={GRAPH_HEIGHT}
+        style={{ background: '#111', marginTop: '6px', display: 'block', touchAction: 'none', cursor: view ? 'grab' : 'default' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onDoubleClick={event => handleInsert(toTime(event.clientX))}
+      >
+        {/* 0值基线 */}
+        {curves.min < 0 && curves.max > 0 && (
+          <line x1={0} x2={GRAPH_WIDTH} y1={toY(0)} y2={toY(0)} stroke="#333" />
+        )}
+
+        {/* 四元数翻转位置 */}
+        {flips.map(index => (
+          <line
+            key={index}
+            x1={toX(track.times[index])}
+            x2={toX(track.times[index])}
+            y1={0}
+            y2={GRAPH_HEIGHT}
+            stroke="#ff4444"
+            strokeDasharray="3 3"
+          />
+        ))}
+
+        {/* 选中的关键帧 */}
+        {keyframe && (
+          <line
+            x1={toX(getKeyTime(selectedKey))}
+            x2={toX(getKeyTime(selectedKey))}
+            y1={0}
+            y2={GRAPH_HEIGHT}
+            stroke="#ffff00"
+            strokeOpacity={0.5}
+          />
+        )}
+
+        {/* 各通道曲线和关键帧 */}
+        {channels.map(channel => (
+          <g key={channel}>
+            <polyline
+              fill="none"
+              stroke={CHANNEL_COLORS[channel]}
+              strokeWidth={1.5}
+              points={curves.times.map((time, index) => `${toX(time)},${toY(curves.channels[channel][index])}`).join(' ')}
+            />
+            {showKeys && visibleKeys.map(index => (
+              <circle
+                key={index}
+                cx={toX(getKeyTime(index))}
+                cy={toY(track.keyframes[index][channel])}
+                r={index === selectedKey ? 4 : 2.5}
+                fill={CHANNEL_COLORS[channel]}
+                stroke={index === selectedKey ? '#ffff00' : 'none'}
+                style={{ cursor: 'ew-resize' }}
+                onPointerDown={event => handleKeyPointerDown(event, index)}
+              />
+            ))}
+          </g>
+        ))}
+
+        {/* 播放头 */}
+        {clipTime !== null && (
+          <line x1={toX(clipTime)} x2={toX(clipTime)} y1={0} y2={GRAPH_HEIGHT} stroke="#00ffff" strokeWidth={1.5} />
+        )}
+      </svg>
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '4px' }}>
+        {channels.map(channel => (
+          <span key={channel} style={{ color: CHANNEL_COLORS[channel] }}>■ {channel}</span>
+        ))}
+        <span style={{ color: '#888888', marginLeft: 'auto' }}>
+          {clipTime !== null ? `clip ${clipTime.toFixed(2)}s` : 'not used by current phase'}
+        </span>
+      </div>
+
+      {/* 选中关键帧的时间和各通道值 */}
+      {keyframe && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+          <span style={{ color: '#ffff00' }}>key #{selectedKey}</span>
+          <NumberField
+            label="t"
+            value={track.times[selectedKey]}
+            onCommit={time => run(() => editor.moveKeyframe(sourceId, track, selectedKey, time))}
+          />
+          {channels.map(channel => (
+            <NumberField
+              key={channel}
+              label={channel}
+              color={CHANNEL_COLORS[channel]}
+              value={keyframe[channel]}
+              onCommit={value => run(() => editor.setKeyframeValue(sourceId, track, selectedKey, channel, value))}
+            />
+          ))}
+          <button onClick={handleDelete} style={buttonStyle}>🗑 Delete key</button>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px' }}>
+        <button onClick={() => handleInsert(clipTime)} disabled={clipTime === null} style={buttonStyle}>
+          ➕ Key at playhead
+        </button>
+        {editor.isEdited(track) && (
+          <button onClick={() => { setSelectedKey(null); editor.revert(track) }} style={buttonStyle}>
+            ↩ Revert track
+          </button>
+        )}
+        {modelPath && (
+          <button
+            onClick={handleExportGLB}
+            disabled={exporting}
+            title={needsDownload ? 'The source GLB is no longer in memory and is downloaded again before exporting' : undefined}
+            style={buttonStyle}
+          >
+            {exporting
+              ? (needsDownload ? '⏳ Downloading source GLB…' : '⏳ Exporting…')
+              : `💾 Download ${modelPath.split('/').pop()}${needsDownload ? ' (re-downloads source)' : ''}`}
+          </button>
+        )}
+      </div>
+
+      {error && <div style={{ color: '#ff6666', marginTop: '6px' }}>❌ {error}</div>}
+    </div>
+  )
+}
+
+/**
+ * 数值输入框，失去焦点或按回车时提交
+ */
+function NumberField({ label, value, color = '#00ff00', onCommit }) {
+  const shown = Number(value.toFixed(4))
+  const commit = (event) => {
+    const next = Number(event.target.value)
+    if (event.target.value !== '' && next !== shown) onCommit(next)
+  }
+
+  return (
+    <label style={{ color }}>
+      {label}{' '}
+      <input
+        key={value}
+        type="number"
+        step="any"
+        defaultValue={shown}
+        onBlur={commit}
+        onKeyDown={event => event.key === 'Enter' && event.target.blur()}
+        style={inputStyle}
+      />
+    </label>
+  )
+}
+
+export default TrackInspectorPanel
@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react'
+import { animationClock, DEFAULT_CLOCK_INTERVAL } from '../systems/AnimationClock.js'
+
+/**
+ * 按节流间隔读取动画时钟快照 { time, displayTime, phase, camera }（用于界面面板，不要在useFrame中使用）
+ */
+export function useAnimationClock(interval = DEFAULT_CLOCK_INTERVAL, clock = animationClock) {
+  const [snapshot, setSnapshot] = useState(() => clock.getSnapshot())
+
+  useEffect(() => clock.subscribe(setSnapshot, interval), [clock, interval])
+
+  return snapshot
+}
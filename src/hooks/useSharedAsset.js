@@ -0,0 +1,17 @@
+import { useEffect } from 'react'
+import { multiSourceAnimationExtractor } from '../systems/MultiSourceAnimationExtractor.js'
+
+/**
+ * 从共享资源注册表读取GLB（支持Suspense）
+ * 组件挂载期间持有引用，卸载后由注册表在没有其他使用者时释放
+ */
+export function useSharedAsset(url, label, registry = multiSourceAnimationExtractor.assets) {
+  const gltf = registry.read(url, label)
+
+  useEffect(() => {
+    registry.retain(url)
+    return () => registry.release(url)
+  }, [registry, url])
+
+  return gltf
+}
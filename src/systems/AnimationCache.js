@@ -0,0 +1,163 @@
+import { INTERPOLATION_MODES, readKeyframeValue } from './TrackSampler.js'
+
+/**
+ * 动画缓存格式
+ * 离线烘焙的animationData（v6Original、camera、rings），时间线时长在加载后按清单重新解析，
+ * 轨道的times/values以Float32 base64存储，运行时无需再下载GLB
+ */
+export const ANIMATION_CACHE_FORMAT = 'fellou-animation-cache'
+export const ANIMATION_CACHE_VERSION = 1
+
+/**
+ * 把提取结果序列化为缓存对象（可直接JSON.stringify）
+ */
+export function serializeAnimationData(animationData, { manifest } = {}) {
+  const rings = {}
+  Object.entries(animationData.rings).forEach(([ringId, ringData]) => {
+    rings[ringId] = ringData ? serializeTrackGroup(ringData, ['position', 'rotation', 'scale']) : null
+  })
+
+  let v6Original = null
+  if (animationData.v6Original) {
+    v6Original = {
+      duration: animationData.v6Original.duration,
+      metadata: animationData.v6Original.metadata,
+      rings: {}
+    }
+    Object.entries(animationData.v6Original.rings).forEach(([ringId, ringTracks]) => {
+      v6Original.rings[ringId] = serializeTrackGroup(ringTracks, ['position', 'rotation', 'scale'])
+    })
+  }
+
+  return {
+    format: ANIMATION_CACHE_FORMAT,
+    version: ANIMATION_CACHE_VERSION,
+    generatedAt: new Date().toISOString(),
+    sources: manifest ? manifest.sources.map(({ id, role, url, objectName }) => ({ id, role, url, objectName })) : [],
+    animationData: {
+      v6Original,
+      camera: animationData.camera ? serializeTrackGroup(animationData.camera, ['position', 'rotation', 'fov']) : null,
+      rings
+    }
+  }
+}
+
+/**
+ * 从缓存对象还原animationData（结构与GLB提取结果一致）
+ */
+export function deserializeAnimationData(cache) {
+  if (!cache || cache.format !== ANIMATION_CACHE_FORMAT) {
+    throw new Error('Not an animation cache file')
+  }
+  if (cache.version !== ANIMATION_CACHE_VERSION) {
+    throw new Error(`Unsupported animation cache version ${cache.version} (expected ${ANIMATION_CACHE_VERSION})`)
+  }
+
+  const { v6Original, camera, rings } = cache.animationData
+
+  const restoredRings = {}
+  Object.entries(rings).forEach(([ringId, ringData]) => {
+    restoredRings[ringId] = ringData ? deserializeTrackGroup(ringData) : null
+  })
+
+  let restoredV6 = null
+  if (v6Original) {
+    restoredV6 = { ...v6Original, rings: {} }
+    Object.entries(v6Original.rings).forEach(([ringId, ringTracks]) => {
+      restoredV6.rings[ringId] = deserializeTrackGroup(ringTracks)
+    })
+  }
+
+  return {
+    v6Original: restoredV6,
+    camera: camera ? deserializeTrackGroup(camera) : null,
+    rings: restoredRings
+  }
+}
+
+/**
+ * 找出缓存与当前清单不一致的动画源ID
+ */
+export function findStaleCacheSources(cache, manifest) {
+  const cached = new Map((cache.sources || []).map(source => [source.id, source]))
+  return manifest.sources
+    .filter(source => {
+      const entry = cached.get(source.id)
+      return !entry || entry.url !== source.url || entry.objectName !== source.objectName
+    })
+    .map(source => source.id)
+}
+
+function serializeTrackGroup(group, properties) {
+  const result = {}
+  Object.entries(group).forEach(([key, value]) => {
+    if (properties.includes(key)) {
+      result[key] = value ? serializeTrack(value) : null
+    } else {
+      result[key] = value
+    }
+  })
+  return result
+}
+
+function deserializeTrackGroup(group) {
+  const result = {}
+  Object.entries(group).forEach(([key, value]) => {
+    result[key] = value && value.encoding ? deserializeTrack(value) : value
+  })
+  return result
+}
+
+function serializeTrack(track) {
+  return {
+    encoding: 'float32-base64',
+    type: track.type,
+    interpolation: track.interpolation,
+    valueSize: track.valueSize,
+    count: track.times.length,
+    times: encodeFloat32(track.times),
+    values: encodeFloat32(track.values)
+  }
+}
+
+/**
+ * 还原轨道，并按processTrack的规则重建keyframes
+ */
+function deserializeTrack(track) {
+  const times = decodeFloat32(track.times)
+  const values = decodeFloat32(track.values)
+  const valueSize = track.valueSize
+  const isCubic = track.interpolation === INTERPOLATION_MODES.CUBICSPLINE
+  const stride = isCubic ? valueSize * 3 : valueSize
+  const valueOffset = isCubic ? valueSize : 0
+
+  const keyframes = times.map((time, i) => readKeyframeValue(values, i * stride + valueOffset, valueSize))
+
+  return {
+    times,
+    values,
+    keyframes,
+    interpolation: track.interpolation,
+    valueSize,
+    type: track.type
+  }
+}
+
+function encodeFloat32(numbers) {
+  const bytes = new Uint8Array(Float32Array.from(numbers).buffer)
+  let binary = ''
+  const chunkSize = 0x8000
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize))
+  }
+  return btoa(binary)
+}
+
+function decodeFloat32(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return Array.from(new Float32Array(bytes.buffer))
+}
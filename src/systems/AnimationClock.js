@@ -0,0 +1,84 @@
+/**
+ * 默认的界面刷新间隔（毫秒）
+ */
+export const DEFAULT_CLOCK_INTERVAL = 100
+
+/**
+ * 动画时钟
+ * 保存播放时间、空闲展示时间、当前阶段和相机状态的可变存储，不放在React状态里：
+ * useFrame中直接读写，界面面板通过subscribe按节流间隔获取快照，避免整棵组件树每帧重新渲染
+ */
+export class AnimationClock {
+  constructor() {
+    this.time = 0            // 时间线上的当前时间
+    this.attractTime = 0     // 空闲展示时第一个片段的循环时间
+    this.displayTime = 0     // 相机和环本帧实际显示的时间
+    this.direction = 1       // 乒乓模式当前方向
+    this.phase = null        // getCurrentPhase(time) 的结果
+    this.camera = null       // { position, rotation, fov }
+    this.subscribers = new Set()
+  }
+
+  /**
+   * 跳转到时间线上的时间，立即通知订阅者
+   */
+  seek(time) {
+    this.time = time
+    this.publish(true)
+  }
+
+  /**
+   * 回到起点（停止播放时使用）
+   */
+  reset() {
+    this.time = 0
+    this.attractTime = 0
+    this.displayTime = 0
+    this.direction = 1
+    this.publish(true)
+  }
+
+  getSnapshot() {
+    return {
+      time: this.time,
+      displayTime: this.displayTime,
+      phase: this.phase,
+      camera: this.camera
+    }
+  }
+
+  /**
+   * 订阅时钟快照，订阅时立即收到一次，之后最多每interval毫秒收到一次；返回取消订阅函数
+   */
+  subscribe(listener, interval = DEFAULT_CLOCK_INTERVAL) {
+    const subscriber = { listener, interval, lastPublished: now() }
+    this.subscribers.add(subscriber)
+    listener(this.getSnapshot())
+    return () => this.subscribers.delete(subscriber)
+  }
+
+  /**
+   * 向到期的订阅者发送快照（每帧调用），force为true时通知所有订阅者
+   */
+  publish(force = false) {
+    if (this.subscribers.size === 0) return
+
+    const timestamp = now()
+    let snapshot = null
+    this.subscribers.forEach(subscriber => {
+      if (!force && timestamp - subscriber.lastPublished < subscriber.interval) return
+      subscriber.lastPublished = timestamp
+      snapshot = snapshot || this.getSnapshot()
+      subscriber.listener(snapshot)
+    })
+  }
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
+
+/**
+ * 全局动画时钟实例（场景、相机、环和界面面板共用）
+ */
+export const animationClock = new AnimationClock()
@@ -0,0 +1,209 @@
+import * as THREE from 'three'
+import { resolveEasing } from './Easing.js'
+
+/**
+ * 修饰器的叠加方式
+ * add: 在采样结果上加偏移（旋转为局部欧拉角偏移）
+ * multiply: 把采样结果乘以系数，权重从0到1时系数从1过渡到value
+ */
+export const MODIFIER_MODES = {
+  ADD: 'add',
+  MULTIPLY: 'multiply'
+}
+
+/**
+ * 修饰器作用对象：相机、所有环，或清单中的某个环ID
+ */
+export const MODIFIER_TARGETS = {
+  CAMERA: 'camera',
+  RINGS: 'rings'
+}
+
+/**
+ * 各对象可修饰的通道
+ */
+export const MODIFIER_CHANNELS = {
+  camera: ['position', 'rotation', 'fov'],
+  ring: ['position', 'rotation', 'scale']
+}
+
+const _quaternion = new THREE.Quaternion()
+const _offset = new THREE.Quaternion()
+const _euler = new THREE.Euler()
+
+/**
+ * 动画修饰器
+ * 由清单 modifiers 声明，在时间窗口内按缓动把偏移叠加到相机和环的采样结果上，
+ * 相机和环共用同一份定义和时间，因此始终同步
+ */
+export class AnimationModifiers {
+  constructor(definitions = [], ringIds = []) {
+    this.definitions = AnimationModifiers.validate(definitions, ringIds)
+    this.ringIds = ringIds
+    this.modifiers = []
+  }
+
+  /**
+   * 校验修饰器定义
+   */
+  static validate(definitions, ringIds) {
+    if (!Array.isArray(definitions)) {
+      throw new Error('Scene manifest "modifiers" must be an array')
+    }
+
+    const modes = Object.values(MODIFIER_MODES)
+    definitions.forEach((definition, index) => {
+      const name = definition.id || `#${index}`
+      const targets = Array.isArray(definition.target) ? definition.target : [definition.target]
+      const isCamera = targets.length === 1 && targets[0] === MODIFIER_TARGETS.CAMERA
+
+      targets.forEach(target => {
+        if (target !== MODIFIER_TARGETS.CAMERA && target !== MODIFIER_TARGETS.RINGS && !ringIds.includes(target)) {
+          throw new Error(`Modifier "${name}" has unknown target "${target}"`)
+        }
+      })
+      if (!isCamera && targets.includes(MODIFIER_TARGETS.CAMERA)) {
+        throw new Error(`Modifier "${name}" cannot target the camera and rings at the same time`)
+      }
+
+      const channels = isCamera ? MODIFIER_CHANNELS.camera : MODIFIER_CHANNELS.ring
+      if (!channels.includes(definition.channel)) {
+        throw new Error(`Modifier "${name}" has unknown channel "${definition.channel}" (expected ${channels.join(', ')})`)
+      }
+      if (!modes.includes(definition.mode)) {
+        throw new Error(`Modifier "${name}" has unknown mode "${definition.mode}"`)
+      }
+      if (definition.channel === 'rotation' && definition.mode === MODIFIER_MODES.MULTIPLY) {
+        throw new Error(`Modifier "${name}" cannot multiply rotations, use "add"`)
+      }
+
+      const { value } = definition
+      const isVector = Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+      if (!Number.isFinite(value) && !isVector) {
+        throw new Error(`Modifier "${name}" needs a numeric "value" or [x, y, z]`)
+      }
+      if (definition.channel === 'fov' && !Number.isFinite(value)) {
+        throw new Error(`Modifier "${name}" on fov needs a numeric "value"`)
+      }
+      if (!definition.window || !Number.isFinite(definition.window.start) || !(definition.window.duration >= 0)) {
+        throw new Error(`Modifier "${name}" needs a "window" { start, duration }`)
+      }
+
+      resolveEasing(definition.easing)
+    })
+
+    return definitions
+  }
+
+  /**
+   * 根据时间线总时长计算每个修饰器的绝对时间窗口
+   * window.start为负数时从时间线结尾倒数
+   */
+  resolve(totalDuration) {
+    this.modifiers = this.definitions.map(definition => {
+      const targets = Array.isArray(definition.target) ? definition.target : [definition.target]
+      const ringIds = targets.includes(MODIFIER_TARGETS.RINGS)
+        ? this.ringIds
+        : targets.filter(target => target !== MODIFIER_TARGETS.CAMERA)
+      const value = Array.isArray(definition.value)
+        ? definition.value
+        : [definition.value, definition.value, definition.value]
+
+      return {
+        id: definition.id,
+        camera: targets[0] === MODIFIER_TARGETS.CAMERA,
+        ringIds,
+        channel: definition.channel,
+        mode: definition.mode,
+        value,
+        scalar: Number.isFinite(definition.value) ? definition.value : value[0],
+        start: definition.window.start < 0 ? totalDuration + definition.window.start : definition.window.start,
+        duration: definition.window.duration,
+        stagger: definition.stagger || 0,
+        ease: resolveEasing(definition.easing)
+      }
+    })
+    return this.modifiers
+  }
+
+  /**
+   * 修饰器在指定时间的权重（窗口前为0，窗口后保持为1）
+   * 多个环时第index个环的窗口推迟index * stagger秒
+   */
+  getWeight(modifier, time, index = 0) {
+    const start = modifier.start + index * modifier.stagger
+    if (time < start) return 0
+    if (modifier.duration === 0 || time >= start + modifier.duration) return modifier.ease(1)
+    return modifier.ease((time - start) / modifier.duration)
+  }
+
+  /**
+   * 把修饰器叠加到相机变换上（就地修改并返回transform）
+   */
+  applyToCamera(transform, time) {
+    if (!transform) return transform
+
+    this.modifiers.forEach(modifier => {
+      if (!modifier.camera) return
+      const weight = this.getWeight(modifier, time)
+      if (weight !== 0) applyChannel(transform, modifier, weight)
+    })
+    return transform
+  }
+
+  /**
+   * 把修饰器叠加到环变换上（就地修改并返回transform）
+   */
+  applyToRing(ringId, transform, time) {
+    if (!transform) return transform
+
+    this.modifiers.forEach(modifier => {
+      const index = modifier.ringIds.indexOf(ringId)
+      if (index === -1) return
+      const weight = this.getWeight(modifier, time, index)
+      if (weight !== 0) applyChannel(transform, modifier, weight)
+    })
+    return transform
+  }
+}
+
+function applyChannel(transform, modifier, weight) {
+  const { channel, mode, value } = modifier
+
+  if (channel === 'fov') {
+    transform.fov = mode === MODIFIER_MODES.ADD
+      ? transform.fov + modifier.scalar * weight
+      : transform.fov * (1 + (modifier.scalar - 1) * weight)
+    return
+  }
+
+  const target = transform[channel]
+  if (!target) return
+
+  if (channel === 'rotation') {
+    if (target.w !== undefined) {
+      // 四元数：乘以局部欧拉角偏移
+      _offset.setFromEuler(_euler.set(value[0] * weight, value[1] * weight, value[2] * weight))
+      _quaternion.set(target.x, target.y, target.z, target.w).multiply(_offset)
+      target.x = _quaternion.x
+      target.y = _quaternion.y
+      target.z = _quaternion.z
+      target.w = _quaternion.w
+    } else {
+      target.x += value[0] * weight
+      target.y += value[1] * weight
+      target.z += value[2] * weight
+    }
+    return
+  }
+
+  if (mode === MODIFIER_MODES.ADD) {
+    target.x += value[0] * weight
+    target.y += value[1] * weight
+    target.z += value[2] * weight
+  } else {
+    target.x *= 1 + (value[0] - 1) * weight
+    target.y *= 1 + (value[1] - 1) * weight
+    target.z *= 1 + (value[2] - 1) * weight
+  }
+}
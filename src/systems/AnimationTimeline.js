@@ -0,0 +1,183 @@
+import { resolveEasing } from './Easing.js'
+
+/**
+ * 片段播放行为
+ * loop: 片段内循环播放动画源
+ * once: 播放一次后停在最后一帧
+ * hold: 固定在某一帧（holdAt: 'start' | 'end' | 秒数）
+ */
+export const SEGMENT_BEHAVIORS = {
+  LOOP: 'loop',
+  ONCE: 'once',
+  HOLD: 'hold'
+}
+
+/**
+ * 片段时长取动画源自身长度
+ */
+export const CLIP_DURATION = 'clip'
+
+// 判断时间是否恰好落在片段终点时允许的浮点误差
+const END_EPSILON = 1e-6
+
+/**
+ * 动画时间线
+ * 由任意数量的有序片段组成，每个片段声明环和相机使用的动画源、时长以及播放行为
+ */
+export class AnimationTimeline {
+  constructor(definitions = []) {
+    this.definitions = AnimationTimeline.validate(definitions)
+    this.segments = []
+    this.totalDuration = 0
+  }
+
+  /**
+   * 校验片段定义
+   */
+  static validate(definitions) {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error('Timeline needs at least one segment')
+    }
+
+    const behaviors = Object.values(SEGMENT_BEHAVIORS)
+    const ids = new Set()
+    definitions.forEach((definition, index) => {
+      if (!definition.id) {
+        throw new Error(`Timeline segment #${index} needs an "id"`)
+      }
+      if (ids.has(definition.id)) {
+        throw new Error(`Timeline segment "${definition.id}" is declared twice`)
+      }
+      ids.add(definition.id)
+
+      const { duration } = definition
+      if (duration !== CLIP_DURATION && !(typeof duration === 'number' && duration >= 0)) {
+        throw new Error(`Timeline segment "${definition.id}" needs a duration in seconds or "${CLIP_DURATION}"`)
+      }
+      if (definition.behavior && !behaviors.includes(definition.behavior)) {
+        throw new Error(`Timeline segment "${definition.id}" has unknown behavior "${definition.behavior}"`)
+      }
+      if (definition.blendIn !== undefined) {
+        if (index === 0) {
+          throw new Error(`Timeline segment "${definition.id}" is the first segment and has nothing to blend from`)
+        }
+        if (!(typeof definition.blendIn.duration === 'number' && definition.blendIn.duration > 0)) {
+          throw new Error(`Timeline segment "${definition.id}" needs a positive "blendIn.duration"`)
+        }
+        try {
+          resolveEasing(definition.blendIn.easing)
+        } catch (error) {
+          throw new Error(`Timeline segment "${definition.id}" blendIn: ${error.message}`)
+        }
+      }
+      if (definition.easing !== undefined) {
+        try {
+          resolveEasing(definition.easing)
+        } catch (error) {
+          throw new Error(`Timeline segment "${definition.id}": ${error.message}`)
+        }
+      }
+    })
+
+    return definitions
+  }
+
+  /**
+   * 根据动画源时长计算每个片段的起止时间
+   * getClipDuration(definition) 返回片段引用的动画源时长，没有动画源时返回0
+   */
+  resolve(getClipDuration) {
+    let start = 0
+
+    this.segments = this.definitions.map((definition, index) => {
+      const clipDuration = getClipDuration(definition) || 0
+      let duration = definition.duration
+      if (duration === CLIP_DURATION) {
+        duration = clipDuration > 0 ? clipDuration : (definition.fallbackDuration || 0)
+      }
+
+      const segment = {
+        ...definition,
+        behavior: definition.behavior || SEGMENT_BEHAVIORS.LOOP,
+        label: definition.label || definition.id,
+        index,
+        phase: index + 1,
+        start,
+        duration,
+        end: start + duration,
+        clipDuration
+      }
+      start += duration
+      return segment
+    })
+
+    this.totalDuration = start
+    return this.segments
+  }
+
+  /**
+   * 获取指定时间所在的片段
+   */
+  getSegmentAtTime(time) {
+    if (this.segments.length === 0) return null
+
+    const lastIndex = this.segments.length - 1
+    let index = this.segments.findIndex(segment => time <= segment.end)
+    if (index === -1) index = lastIndex
+
+    const segment = this.segments[index]
+    // 超出时间线终点时停在最后一个片段的终点
+    const phaseTime = index === lastIndex ? Math.min(time - segment.start, segment.duration) : time - segment.start
+    return {
+      phase: segment.phase,
+      index,
+      id: segment.id,
+      segment,
+      phaseTime,
+      progress: segment.duration > 0 ? phaseTime / segment.duration : 0,
+      isLast: index === lastIndex
+    }
+  }
+
+  /**
+   * 按片段的播放行为把片段内时间映射为动画源时间
+   */
+  static getClipTime(segment, phaseTime, clipDuration) {
+    if (!(clipDuration > 0)) return 0
+
+    switch (segment.behavior) {
+      case SEGMENT_BEHAVIORS.HOLD: {
+        const { holdAt = 'end' } = segment
+        if (holdAt === 'start') return 0
+        if (holdAt === 'end') return clipDuration
+        return Math.min(Math.max(Number(holdAt) || 0, 0), clipDuration)
+      }
+
+      case SEGMENT_BEHAVIORS.ONCE:
+        return Math.min(Math.max(phaseTime, 0), clipDuration)
+
+      case SEGMENT_BEHAVIORS.LOOP:
+      default: {
+        const clipTime = ((phaseTime % clipDuration) + clipDuration) % clipDuration
+        // 片段恰好结束在一次循环的末尾时（如once模式停在终点）保持clip末帧，而不是跳回第0帧
+        const atSegmentEnd = phaseTime > 0 && Math.abs(phaseTime - segment.duration) < END_EPSILON
+        if (atSegmentEnd && (clipTime < END_EPSILON || clipDuration - clipTime < END_EPSILON)) return clipDuration
+        return clipTime
+      }
+    }
+  }
+
+  /**
+   * 获取解析后的片段列表
+   */
+  getSegments() {
+    return this.segments
+  }
+
+  /**
+   * 获取时间线总时长
+   */
+  getDuration() {
+    return this.totalDuration
+  }
+}
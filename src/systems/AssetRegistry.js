@@ -0,0 +1,165 @@
+/**
+ * 共享资源注册表
+ * 每个GLB只下载和解析一次，由提取器和React组件共同引用；
+ * 引用计数归零后释放几何体、材质和纹理（延迟释放，避免StrictMode的卸载/重新挂载导致重复下载）
+ */
+export class AssetRegistry {
+  constructor(fetchAsset, { disposeDelay = 0 } = {}) {
+    this.fetchAsset = fetchAsset   // (url, label) => Promise<gltf>
+    this.disposeDelay = disposeDelay
+    this.entries = new Map()       // url -> { url, promise, gltf, error, refCount, disposeTimer }
+  }
+
+  /**
+   * 获取资源条目，尚未加载或上次加载失败时开始加载
+   */
+  getEntry(url, label) {
+    const existing = this.entries.get(url)
+    if (existing && !existing.error) return existing
+
+    const entry = {
+      url,
+      promise: null,
+      gltf: null,
+      error: null,
+      refCount: existing ? existing.refCount : 0,
+      disposeTimer: null
+    }
+    entry.promise = this.fetchAsset(url, label).then(
+      gltf => {
+        entry.gltf = buildGraph(gltf)
+        return entry.gltf
+      },
+      error => {
+        entry.error = error
+        throw error
+      }
+    )
+    // 未被await时也不产生未处理的rejection，错误由read/acquire抛出
+    entry.promise.catch(() => {})
+    this.entries.set(url, entry)
+    return entry
+  }
+
+  /**
+   * 加载资源并增加引用计数，用完后必须调用release
+   */
+  async acquire(url, label) {
+    const entry = this.getEntry(url, label)
+    this.retainEntry(entry)
+
+    try {
+      return await entry.promise
+    } catch (error) {
+      entry.refCount--
+      throw error
+    }
+  }
+
+  /**
+   * 为已加载的资源增加引用计数
+   */
+  retain(url) {
+    const entry = this.entries.get(url)
+    if (!entry) {
+      throw new Error(`Asset ${url} is not loaded`)
+    }
+    this.retainEntry(entry)
+  }
+
+  retainEntry(entry) {
+    entry.refCount++
+    if (entry.disposeTimer !== null) {
+      clearTimeout(entry.disposeTimer)
+      entry.disposeTimer = null
+    }
+  }
+
+  /**
+   * 减少引用计数，归零后释放资源
+   */
+  release(url) {
+    const entry = this.entries.get(url)
+    if (!entry || entry.refCount === 0) return
+
+    entry.refCount--
+    if (entry.refCount > 0 || entry.disposeTimer !== null) return
+
+    entry.disposeTimer = setTimeout(() => {
+      entry.disposeTimer = null
+      if (entry.refCount === 0 && this.entries.get(url) === entry) {
+        this.dispose(url)
+      }
+    }, this.disposeDelay)
+  }
+
+  /**
+   * Suspense读取：已加载时返回资源，加载中抛出promise，加载失败抛出错误
+   */
+  read(url, label) {
+    const existing = this.entries.get(url)
+    const entry = existing && existing.error ? existing : this.getEntry(url, label)
+
+    if (entry.gltf) return entry.gltf
+    if (entry.error) throw entry.error
+    throw entry.promise
+  }
+
+  /**
+   * 获取已加载的资源，不触发加载
+   */
+  peek(url) {
+    return this.entries.get(url)?.gltf || null
+  }
+
+  /**
+   * 立即释放资源（忽略引用计数）
+   */
+  dispose(url) {
+    const entry = this.entries.get(url)
+    if (!entry) return
+
+    if (entry.disposeTimer !== null) clearTimeout(entry.disposeTimer)
+    if (entry.gltf) disposeGLTF(entry.gltf)
+    this.entries.delete(url)
+    console.log(`🗑️ Disposed asset ${url}`)
+  }
+
+  /**
+   * 释放所有资源
+   */
+  clear() {
+    Array.from(this.entries.keys()).forEach(url => this.dispose(url))
+  }
+}
+
+/**
+ * 按名称索引节点和材质（与@react-three/fiber的useLoader结果一致）
+ */
+export function buildGraph(gltf) {
+  const nodes = {}
+  const materials = {}
+  gltf.scene?.traverse(object => {
+    if (object.name) nodes[object.name] = object
+    if (object.material && !materials[object.material.name]) {
+      materials[object.material.name] = object.material
+    }
+  })
+  gltf.nodes = nodes
+  gltf.materials = materials
+  return gltf
+}
+
+function disposeGLTF(gltf) {
+  gltf.scene?.traverse(object => {
+    object.geometry?.dispose()
+    const materials = Array.isArray(object.material) ? object.material : [object.material]
+    materials.forEach(material => {
+      if (!material) return
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose()
+      })
+      material.dispose()
+    })
+  })
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three'
+import { validateCameraShot } from './CameraShots.js'
+
+/**
+ * localStorage中保存机位库的键
+ */
+export const CAMERA_POSE_STORAGE_KEY = 'threePhaseAnimation.cameraPoses'
+
+const POSE_FILE_VERSION = 1
+const DEFAULT_TARGET_DISTANCE = 10  // 没有控制器目标点时，沿视线方向取这个距离作为看向的点
+const POSE_PRECISION = 3
+
+const _direction = new THREE.Vector3()
+
+/**
+ * 从相机记录机位 { position, target, fov }（与清单 cameraShots 中的机位格式相同）
+ * target为控制器的目标点（如OrbitControls.target），省略时沿视线方向取点
+ */
+export function capturePose(camera, target = null) {
+  const lookAt = target
+    ? target.clone()
+    : camera.position.clone().add(camera.getWorldDirection(_direction).multiplyScalar(DEFAULT_TARGET_DISTANCE))
+
+  return {
+    position: roundVector(camera.position),
+    target: roundVector(lookAt),
+    fov: Number(camera.fov.toFixed(POSE_PRECISION))
+  }
+}
+
+/**
+ * 机位库
+ * 保存命名机位，以及清单机位（shot ID）到保存机位的指定关系，持久化到localStorage，可导出/导入JSON
+ */
+export class CameraPoseLibrary {
+  constructor(storage = getDefaultStorage(), key = CAMERA_POSE_STORAGE_KEY) {
+    this.storage = storage
+    this.key = key
+    this.poses = {}         // 名称 -> { position, target, fov, savedAt }
+    this.assignments = {}   // 清单机位ID -> 机位名称
+    this.listeners = new Set()
+    this.load()
+  }
+
+  load() {
+    if (!this.storage) return
+
+    try {
+      const stored = this.storage.getItem(this.key)
+      if (stored) this.merge(JSON.parse(stored))
+    } catch (error) {
+      console.warn('⚠️ Could not read saved camera poses:', error)
+    }
+  }
+
+  persist() {
+    if (!this.storage) return
+
+    try {
+      this.storage.setItem(this.key, this.exportJSON())
+    } catch (error) {
+      console.warn('⚠️ Could not save camera poses:', error)
+    }
+  }
+
+  getSnapshot() {
+    return { poses: { ...this.poses }, assignments: { ...this.assignments } }
+  }
+
+  getPose(name) {
+    return this.poses[name] || null
+  }
+
+  /**
+   * 保存机位（同名覆盖）
+   */
+  save(name, pose) {
+    if (!name) {
+      throw new Error('Camera pose needs a name')
+    }
+    this.poses[name] = { ...validateCameraShot(pose, `Camera pose "${name}"`), savedAt: new Date().toISOString() }
+    this.persist()
+    this.emit()
+    return this.poses[name]
+  }
+
+  /**
+   * 删除机位，同时取消使用它的机位指定
+   */
+  remove(name) {
+    delete this.poses[name]
+    Object.entries(this.assignments).forEach(([shotId, poseName]) => {
+      if (poseName === name) delete this.assignments[shotId]
+    })
+    this.persist()
+    this.emit()
+  }
+
+  /**
+   * 让清单机位使用保存的机位，name为null时恢复清单中的机位
+   */
+  assign(shotId, name) {
+    if (name && !this.poses[name]) {
+      throw new Error(`Unknown camera pose "${name}"`)
+    }
+    if (name) this.assignments[shotId] = name
+    else delete this.assignments[shotId]
+    this.persist()
+    this.emit()
+  }
+
+  /**
+   * 获取清单机位ID -> 机位的覆盖表
+   */
+  getShotOverrides() {
+    const overrides = {}
+    Object.entries(this.assignments).forEach(([shotId, name]) => {
+      if (this.poses[name]) overrides[shotId] = this.poses[name]
+    })
+    return overrides
+  }
+
+  exportJSON() {
+    return JSON.stringify({
+      version: POSE_FILE_VERSION,
+      poses: this.poses,
+      assignments: this.assignments
+    }, null, 2)
+  }
+
+  /**
+   * 导入导出的JSON，与现有机位合并（同名覆盖），返回导入的机位数量
+   */
+  importJSON(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text
+    const count = this.merge(data)
+    this.persist()
+    this.emit()
+    return count
+  }
+
+  merge(data) {
+    if (!data || typeof data.poses !== 'object') {
+      throw new Error('Camera pose file needs a "poses" object')
+    }
+    if (data.version !== POSE_FILE_VERSION) {
+      throw new Error(`Unsupported camera pose file version ${data.version}`)
+    }
+
+    const entries = Object.entries(data.poses)
+    entries.forEach(([name, pose]) => validateCameraShot(pose, `Camera pose "${name}"`))
+    entries.forEach(([name, pose]) => { this.poses[name] = pose })
+
+    Object.entries(data.assignments || {}).forEach(([shotId, name]) => {
+      if (this.poses[name]) this.assignments[shotId] = name
+    })
+    return entries.length
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getSnapshot())
+    return () => this.listeners.delete(listener)
+  }
+
+  emit() {
+    if (this.listeners.size === 0) return
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+}
+
+function roundVector(vector) {
+  return vector.toArray().map(value => Number(value.toFixed(POSE_PRECISION)))
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 全局机位库实例
+ */
+export const cameraPoseLibrary = new CameraPoseLibrary()
+
@@ -0,0 +1,225 @@
+import * as THREE from 'three'
+import { resolveEasing } from './Easing.js'
+
+/**
+ * 相机片段的非动画源模式
+ * static: 保持片段的 shot 机位
+ * transition: 在整个片段内从 from 机位移动到 to 机位
+ * shots: 按 shots 列表在片段内切换或移动机位
+ */
+export const CAMERA_MODES = {
+  STATIC: 'static',
+  TRANSITION: 'transition',
+  SHOTS: 'shots'
+}
+
+/**
+ * 机位之间的切换方式
+ * cut: 在 at 时刻直接切到新机位
+ * move: 从 at 时刻开始，在 duration 秒内从当前机位移动到新机位
+ */
+export const SHOT_TRANSITIONS = {
+  CUT: 'cut',
+  MOVE: 'move'
+}
+
+const UP = new THREE.Vector3(0, 1, 0)
+const _matrix = new THREE.Matrix4()
+const _euler = new THREE.Euler()
+
+/**
+ * 把片段的相机配置转换为机位提示列表，片段不使用机位（使用相机动画源）时返回null
+ * 提示: { shot, at, transition, duration, easing }，at为片段内秒数或 "end"
+ */
+export function getSegmentShotCues(segment) {
+  switch (segment.camera) {
+    case CAMERA_MODES.STATIC:
+      return [{ shot: segment.shot }]
+
+    case CAMERA_MODES.TRANSITION:
+      return [
+        { shot: segment.from },
+        { shot: segment.to, at: 0, transition: SHOT_TRANSITIONS.MOVE, easing: segment.easing }
+      ]
+
+    case CAMERA_MODES.SHOTS:
+      return segment.shots || []
+
+    default:
+      return null
+  }
+}
+
+/**
+ * 校验机位定义（position、fov，以及target或rotation），name用于错误信息
+ */
+export function validateCameraShot(shot, name) {
+  if (!shot || !isVector3(shot.position) || typeof shot.fov !== 'number') {
+    throw new Error(`${name} needs a "position" [x, y, z] and a "fov"`)
+  }
+  if (!isVector3(shot.target) && !isVector3(shot.rotation)) {
+    throw new Error(`${name} needs a "target" or a "rotation"`)
+  }
+  return shot
+}
+
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+}
+
+/**
+ * 根据机位定义计算位置、朝向四元数和FOV
+ * 朝向由 target（看向的点）或 rotation（欧拉角）给出
+ */
+export function createShotPose(id, shot) {
+  const position = new THREE.Vector3().fromArray(shot.position)
+  const quaternion = new THREE.Quaternion()
+
+  if (shot.target) {
+    _matrix.lookAt(position, new THREE.Vector3().fromArray(shot.target), UP)
+    quaternion.setFromRotationMatrix(_matrix)
+  } else if (shot.rotation) {
+    quaternion.setFromEuler(_euler.set(shot.rotation[0], shot.rotation[1], shot.rotation[2]))
+  }
+
+  return {
+    id,
+    label: shot.label || id,
+    position,
+    quaternion,
+    fov: shot.fov
+  }
+}
+
+/**
+ * 相机机位表
+ * 保存清单 cameraShots 中所有命名机位，并为时间线片段创建机位轨道
+ */
+export class CameraShotList {
+  constructor(config = {}) {
+    this.poses = new Map()
+    Object.entries(config.shots || {}).forEach(([id, shot]) => {
+      this.poses.set(id, createShotPose(id, shot))
+    })
+    this.defaultShot = config.default || this.poses.keys().next().value || null
+  }
+
+  has(id) {
+    return this.poses.has(id)
+  }
+
+  getPose(id) {
+    const pose = this.poses.get(id)
+    if (!pose) {
+      throw new Error(`Unknown camera shot "${id}"`)
+    }
+    return pose
+  }
+
+  /**
+   * 默认机位的相机变换（没有相机动画时使用）
+   */
+  getDefaultTransform(target) {
+    if (!this.defaultShot) return null
+    return writePose(this.getPose(this.defaultShot), target)
+  }
+
+  /**
+   * 为片段创建机位轨道，片段不使用机位时返回null；未指定机位的提示使用默认机位
+   */
+  createTrack(segment, duration) {
+    const cues = getSegmentShotCues(segment)
+    if (!cues) return null
+    if (cues.length === 0) {
+      throw new Error(`Timeline segment "${segment.id}" has no camera shots`)
+    }
+    return new CameraShotTrack(cues.map(cue => ({ ...cue, pose: this.getPose(cue.shot ?? this.defaultShot) })), duration)
+  }
+}
+
+/**
+ * 单个片段内的机位轨道
+ */
+export class CameraShotTrack {
+  constructor(cues, duration) {
+    this.duration = duration
+
+    // 按时间排序（时间相同时保持声明顺序）
+    const resolved = cues
+      .map((cue, index) => ({ ...cue, index, time: resolveCueTime(cue.at, duration) }))
+      .sort((a, b) => a.time - b.time || a.index - b.index)
+
+    this.cues = resolved.map((cue, index) => {
+      const next = resolved[index + 1]
+      const moveDuration = cue.duration ?? ((next ? next.time : duration) - cue.time)
+      return {
+        pose: cue.pose,
+        time: cue.time,
+        move: cue.transition === SHOT_TRANSITIONS.MOVE && index > 0 && moveDuration > 0,
+        duration: moveDuration,
+        ease: resolveEasing(cue.easing),
+        from: null
+      }
+    })
+
+    // 移动的起点是上一个提示在该时刻的机位（上一次移动可能尚未完成）
+    this.cues.forEach((cue, index) => {
+      if (cue.move) {
+        cue.from = this.sampleCue(this.cues[index - 1], cue.time, createPoseBuffer())
+      }
+    })
+  }
+
+  /**
+   * 采样片段内指定时间的相机变换，结果写入target
+   */
+  sample(time, target) {
+    let current = this.cues[0]
+    for (let i = 1; i < this.cues.length && this.cues[i].time <= time; i++) {
+      current = this.cues[i]
+    }
+    return writePose(this.sampleCue(current, time, _pose), target)
+  }
+
+  sampleCue(cue, time, target) {
+    if (!cue.move) {
+      target.position.copy(cue.pose.position)
+      target.quaternion.copy(cue.pose.quaternion)
+      target.fov = cue.pose.fov
+      return target
+    }
+
+    const t = cue.ease(THREE.MathUtils.clamp((time - cue.time) / cue.duration, 0, 1))
+    target.position.lerpVectors(cue.from.position, cue.pose.position, t)
+    target.quaternion.slerpQuaternions(cue.from.quaternion, cue.pose.quaternion, t)
+    target.fov = THREE.MathUtils.lerp(cue.from.fov, cue.pose.fov, t)
+    return target
+  }
+}
+
+const _pose = createPoseBuffer()
+
+function createPoseBuffer() {
+  return { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), fov: 0 }
+}
+
+function resolveCueTime(at, duration) {
+  if (at === 'end') return duration
+  return typeof at === 'number' ? Math.min(at, duration) : 0
+}
+
+/**
+ * 把机位写成相机变换（position {x,y,z}、rotation四元数 {x,y,z,w}、fov）
+ */
+function writePose(pose, target = { position: {}, rotation: {}, fov: 0 }) {
+  const { position, quaternion } = pose
+  target.position.x = position.x
+  target.position.y = position.y
+  target.position.z = position.z
+  target.rotation.x = quaternion.x
+  target.rotation.y = quaternion.y
+  target.rotation.z = quaternion.z
+  target.rotation.w = quaternion.w
+  target.fov = pose.fov
+  return target
+}
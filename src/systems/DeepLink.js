@@ -0,0 +1,117 @@
+/**
+ * 深链接URL参数
+ * t: 时间线时间（秒）
+ * phase: 阶段编号（没有t时从该阶段开头开始）
+ * paused: 1表示停在该时间，否则从该时间开始播放
+ * rate: 播放速率
+ * cam: 自由相机机位 px,py,pz,rx,ry,rz,fov（欧拉角，弧度）
+ */
+export const DEEP_LINK_PARAMS = {
+  TIME: 't',
+  PHASE: 'phase',
+  PAUSED: 'paused',
+  RATE: 'rate',
+  CAMERA: 'cam'
+}
+
+const TIME_PRECISION = 2
+const CAMERA_PRECISION = 4
+
+/**
+ * 从URL查询字符串解析深链接，只返回有效的字段；没有任何深链接参数时返回null
+ */
+export function parseDeepLink(search = window.location.search) {
+  const params = new URLSearchParams(search)
+  const link = {}
+
+  const time = parseNumber(params.get(DEEP_LINK_PARAMS.TIME))
+  if (time !== null && time >= 0) link.time = time
+
+  const phase = parseNumber(params.get(DEEP_LINK_PARAMS.PHASE))
+  if (phase !== null && Number.isInteger(phase) && phase >= 1) link.phase = phase
+
+  if (params.has(DEEP_LINK_PARAMS.PAUSED)) {
+    link.paused = params.get(DEEP_LINK_PARAMS.PAUSED) !== '0'
+  }
+
+  const rate = parseNumber(params.get(DEEP_LINK_PARAMS.RATE))
+  if (rate !== null) link.rate = rate
+
+  const camera = parseCameraPose(params.get(DEEP_LINK_PARAMS.CAMERA))
+  if (camera) link.camera = camera
+
+  return Object.keys(link).length > 0 ? link : null
+}
+
+/**
+ * 计算深链接的起始时间：优先使用t，其次使用阶段开头，都没有时返回null
+ */
+export function resolveDeepLinkTime(link, segments = []) {
+  if (!link) return null
+  if (link.time !== undefined) return link.time
+  if (link.phase !== undefined) {
+    const segment = segments.find(item => item.phase === link.phase)
+    return segment ? segment.start : null
+  }
+  return null
+}
+
+/**
+ * 生成指向某一时刻的链接
+ * state: { time, phase, paused, rate, camera }，phase为阶段编号，camera为 { position: [x,y,z], rotation: [x,y,z], fov }，可省略
+ */
+export function createDeepLink(state, href = window.location.href) {
+  const url = new URL(href)
+  writeDeepLinkParams(url.searchParams, state)
+  return url.toString()
+}
+
+/**
+ * 把深链接参数写入URLSearchParams（先清除旧的深链接参数，保留其他参数）
+ */
+export function writeDeepLinkParams(params, { time, phase, paused, rate, camera } = {}) {
+  Object.values(DEEP_LINK_PARAMS).forEach(name => params.delete(name))
+
+  if (Number.isFinite(time)) params.set(DEEP_LINK_PARAMS.TIME, time.toFixed(TIME_PRECISION))
+  if (Number.isInteger(phase) && phase >= 1) params.set(DEEP_LINK_PARAMS.PHASE, String(phase))
+  if (paused) params.set(DEEP_LINK_PARAMS.PAUSED, '1')
+  if (Number.isFinite(rate) && rate !== 1) params.set(DEEP_LINK_PARAMS.RATE, String(rate))
+  if (camera) params.set(DEEP_LINK_PARAMS.CAMERA, formatCameraPose(camera))
+  return params
+}
+
+/**
+ * 用当前状态替换地址栏中的深链接参数（不新增历史记录）
+ */
+export function replaceDeepLink(state) {
+  const url = createDeepLink(state)
+  if (url !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url)
+  }
+}
+
+function parseNumber(value) {
+  if (value === null || value.trim() === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+function parseCameraPose(value) {
+  if (!value) return null
+  const numbers = value.split(',').map(Number)
+  if (numbers.length !== 7 || !numbers.every(Number.isFinite)) {
+    console.warn(`⚠️ Ignoring invalid camera pose in URL: "${value}"`)
+    return null
+  }
+  return {
+    position: numbers.slice(0, 3),
+    rotation: numbers.slice(3, 6),
+    fov: numbers[6]
+  }
+}
+
+function formatCameraPose({ position, rotation, fov }) {
+  return [...position.slice(0, 3), ...rotation.slice(0, 3), fov]
+    .map(value => Number(value.toFixed(CAMERA_PRECISION)))
+    .join(',')
+}
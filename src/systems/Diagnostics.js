@@ -0,0 +1,133 @@
+/**
+ * 诊断代码
+ */
+export const DIAGNOSTIC_CODES = {
+  ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',         // 404 / 文件不存在
+  ASSET_HTTP_ERROR: 'ASSET_HTTP_ERROR',       // 其他HTTP错误
+  ASSET_NETWORK_ERROR: 'ASSET_NETWORK_ERROR', // 网络不可用
+  ASSET_DECODE_FAILED: 'ASSET_DECODE_FAILED', // GLB解析、Draco/KTX2/meshopt解码失败
+  NO_ANIMATIONS: 'NO_ANIMATIONS',             // GLB中没有动画
+  NO_TRACKS: 'NO_TRACKS',                     // 动画中没有轨道
+  MISSING_OBJECT: 'MISSING_OBJECT',           // 没有轨道指向清单中的目标对象
+  MISSING_MESH_GROUP: 'MISSING_MESH_GROUP',   // v6模型中缺少环的网格组
+  CACHE_UNAVAILABLE: 'CACHE_UNAVAILABLE',
+  CACHE_STALE: 'CACHE_STALE',
+  INVALID_CAMERA_SHOT: 'INVALID_CAMERA_SHOT', // 机位覆盖指向不存在的机位或机位数据无效
+  FALLBACK_DURATION: 'FALLBACK_DURATION',     // 片段没有动画数据，使用fallbackDuration
+  INITIALIZE_FAILED: 'INITIALIZE_FAILED',
+  EXPORT_FAILED: 'EXPORT_FAILED',             // 导出烘焙时间线失败
+  SCENE_CRASHED: 'SCENE_CRASHED'
+}
+
+/**
+ * 诊断级别
+ */
+export const DIAGNOSTIC_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+}
+
+/**
+ * 把加载错误归类为诊断代码和简短原因
+ * 兼容three的HttpError（带response）、fetch的网络错误和Node的文件系统错误
+ */
+export function classifyLoadError(error) {
+  const status = error?.response?.status ?? error?.status
+  if (status === 404 || error?.code === 'ENOENT') {
+    return { code: DIAGNOSTIC_CODES.ASSET_NOT_FOUND, reason: status ? `HTTP ${status}` : 'File not found' }
+  }
+  if (status) {
+    return { code: DIAGNOSTIC_CODES.ASSET_HTTP_ERROR, reason: `HTTP ${status}` }
+  }
+  if (error instanceof TypeError && /fetch|network/i.test(error.message)) {
+    return { code: DIAGNOSTIC_CODES.ASSET_NETWORK_ERROR, reason: 'Network error' }
+  }
+  return { code: DIAGNOSTIC_CODES.ASSET_DECODE_FAILED, reason: 'Decode failure' }
+}
+
+/**
+ * 诊断记录
+ * 收集加载和提取过程中的问题（哪个动画源、原因、是否使用了回退），向订阅者推送未关闭的诊断
+ */
+export class DiagnosticsLog {
+  constructor() {
+    this.entries = []
+    this.listeners = new Set()
+    this.nextId = 1
+  }
+
+  /**
+   * 记录一条诊断（与未关闭的诊断重复时直接返回已有记录）
+   * @param {object} diagnostic - { code, severity, source, url, reason, message, fallback, details }
+   */
+  report(diagnostic) {
+    const duplicate = this.entries.find(entry => (
+      !entry.dismissed &&
+      entry.code === diagnostic.code &&
+      entry.source === (diagnostic.source ?? null) &&
+      entry.message === (diagnostic.message ?? '')
+    ))
+    if (duplicate) return duplicate
+
+    const entry = {
+      id: this.nextId++,
+      severity: DIAGNOSTIC_SEVERITY.ERROR,
+      source: null,
+      url: null,
+      reason: null,
+      message: '',
+      fallback: null,
+      details: null,
+      dismissed: false,
+      timestamp: Date.now(),
+      ...diagnostic
+    }
+    this.entries.push(entry)
+
+    const log = entry.severity === DIAGNOSTIC_SEVERITY.ERROR ? console.error : console.warn
+    log(`🩺 [${entry.code}] ${entry.source ? `${entry.source}: ` : ''}${entry.message}${entry.fallback ? ` → ${entry.fallback}` : ''}`)
+
+    this.emit()
+    return entry
+  }
+
+  dismiss(id) {
+    const entry = this.entries.find(item => item.id === id)
+    if (!entry || entry.dismissed) return
+    entry.dismissed = true
+    this.emit()
+  }
+
+  dismissAll() {
+    this.entries.forEach(entry => { entry.dismissed = true })
+    this.emit()
+  }
+
+  clear() {
+    this.entries = []
+    this.emit()
+  }
+
+  /**
+   * 获取诊断（默认包含已关闭的）
+   */
+  getAll({ includeDismissed = true } = {}) {
+    return this.entries.filter(entry => includeDismissed || !entry.dismissed)
+  }
+
+  /**
+   * 订阅诊断变化，返回取消订阅函数；订阅时立即收到当前列表
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getAll())
+    return () => this.listeners.delete(listener)
+  }
+
+  emit() {
+    if (this.listeners.size === 0) return
+    const entries = this.getAll()
+    this.listeners.forEach(listener => listener(entries))
+  }
+}
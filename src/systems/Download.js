@@ -0,0 +1,14 @@
+// 点击下载链接后浏览器异步读取对象URL，延迟释放，避免下载在开始前被取消
+const REVOKE_DELAY = 1000
+
+/**
+ * 把数据作为文件下载（ArrayBuffer、字符串或Blob）
+ */
+export function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY)
+}
@@ -0,0 +1,156 @@
+/**
+ * 缓动函数库
+ * 所有函数把0-1的进度映射为缓动后的进度（back/elastic会短暂超出0-1）
+ */
+
+const BACK_OVERSHOOT = 1.70158
+const BACK_OVERSHOOT_IN_OUT = BACK_OVERSHOOT * 1.525
+const ELASTIC_PERIOD = (2 * Math.PI) / 3
+const ELASTIC_PERIOD_IN_OUT = (2 * Math.PI) / 4.5
+
+export const linear = t => t
+
+export const easeInCubic = t => t * t * t
+export const easeOutCubic = t => 1 - Math.pow(1 - t, 3)
+export const easeInOutCubic = t => (
+  t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+)
+
+export const easeInExpo = t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10))
+export const easeOutExpo = t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+export const easeInOutExpo = t => {
+  if (t === 0 || t === 1) return t
+  return t < 0.5
+    ? Math.pow(2, 20 * t - 10) / 2
+    : (2 - Math.pow(2, -20 * t + 10)) / 2
+}
+
+export const easeInBack = t => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t
+export const easeOutBack = t => 1 + (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) + BACK_OVERSHOOT * Math.pow(t - 1, 2)
+export const easeInOutBack = t => (
+  t < 0.5
+    ? (Math.pow(2 * t, 2) * ((BACK_OVERSHOOT_IN_OUT + 1) * 2 * t - BACK_OVERSHOOT_IN_OUT)) / 2
+    : (Math.pow(2 * t - 2, 2) * ((BACK_OVERSHOOT_IN_OUT + 1) * (t * 2 - 2) + BACK_OVERSHOOT_IN_OUT) + 2) / 2
+)
+
+export const easeInElastic = t => {
+  if (t === 0 || t === 1) return t
+  return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD)
+}
+export const easeOutElastic = t => {
+  if (t === 0 || t === 1) return t
+  return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1
+}
+export const easeInOutElastic = t => {
+  if (t === 0 || t === 1) return t
+  return t < 0.5
+    ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * ELASTIC_PERIOD_IN_OUT)) / 2
+    : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * ELASTIC_PERIOD_IN_OUT)) / 2 + 1
+}
+
+/**
+ * 按名称查找的缓动函数
+ */
+export const EASINGS = {
+  linear,
+  easeInCubic,
+  easeOutCubic,
+  easeInOutCubic,
+  easeInExpo,
+  easeOutExpo,
+  easeInOutExpo,
+  easeInBack,
+  easeOutBack,
+  easeInOutBack,
+  easeInElastic,
+  easeOutElastic,
+  easeInOutElastic
+}
+
+/**
+ * 创建CSS风格的三次贝塞尔缓动（控制点(x1, y1)、(x2, y2)，x需在0-1之间）
+ * 先用牛顿迭代求解x对应的参数，不收敛时退回二分法
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  if (![x1, y1, x2, y2].every(Number.isFinite) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new Error(`Invalid cubic-bezier(${x1}, ${y1}, ${x2}, ${y2}): x values must be within [0, 1]`)
+  }
+
+  const cx = 3 * x1
+  const bx = 3 * (x2 - x1) - cx
+  const ax = 1 - cx - bx
+  const cy = 3 * y1
+  const by = 3 * (y2 - y1) - cy
+  const ay = 1 - cy - by
+
+  const sampleX = s => ((ax * s + bx) * s + cx) * s
+  const sampleY = s => ((ay * s + by) * s + cy) * s
+  const sampleDerivativeX = s => (3 * ax * s + 2 * bx) * s + cx
+
+  const solveX = x => {
+    let s = x
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(s) - x
+      if (Math.abs(error) < 1e-6) return s
+      const derivative = sampleDerivativeX(s)
+      if (Math.abs(derivative) < 1e-6) break
+      s -= error / derivative
+    }
+
+    let low = 0
+    let high = 1
+    s = x
+    while (low < high) {
+      const value = sampleX(s)
+      if (Math.abs(value - x) < 1e-6) return s
+      if (x > value) low = s
+      else high = s
+      if (high - low < 1e-7) break
+      s = (low + high) / 2
+    }
+    return s
+  }
+
+  return t => {
+    if (t <= 0) return 0
+    if (t >= 1) return 1
+    return sampleY(solveX(t))
+  }
+}
+
+const bezierCache = new Map()
+
+/**
+ * 把缓动配置解析为函数
+ * 支持: 函数、EASINGS中的名称、"cubic-bezier(x1, y1, x2, y2)" 字符串或 [x1, y1, x2, y2] 数组
+ */
+export function resolveEasing(easing = 'easeInOutCubic') {
+  if (typeof easing === 'function') return easing
+
+  if (Array.isArray(easing)) {
+    if (easing.length !== 4) {
+      throw new Error(`Bezier easing needs 4 control values, got ${easing.length}`)
+    }
+    return getBezier(easing)
+  }
+
+  if (typeof easing === 'string') {
+    if (EASINGS[easing]) return EASINGS[easing]
+
+    const match = easing.match(/^cubic-bezier\(([^)]*)\)$/)
+    if (match) {
+      const values = match[1].split(',').map(value => Number(value.trim()))
+      if (values.length === 4) return getBezier(values)
+    }
+  }
+
+  throw new Error(`Unknown easing "${easing}" (expected one of ${Object.keys(EASINGS).join(', ')} or cubic-bezier(x1, y1, x2, y2))`)
+}
+
+function getBezier(values) {
+  const key = values.join(',')
+  if (!bezierCache.has(key)) {
+    bezierCache.set(key, cubicBezier(...values))
+  }
+  return bezierCache.get(key)
+}
@@ -0,0 +1,70 @@
+/**
+ * GLB文件头魔数 'glTF'
+ */
+export const GLB_MAGIC = 0x46546c67
+export const GLB_CHUNK_JSON = 0x4e4f534a
+export const GLB_CHUNK_BIN = 0x004e4942
+
+/**
+ * 把glTF JSON和二进制块打包为GLB（ArrayBuffer）
+ */
+export function encodeGLB(json, binChunk) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json))
+  const jsonLength = align4(jsonBytes.length)
+  const binLength = binChunk ? align4(binChunk.length) : 0
+  const totalLength = 12 + 8 + jsonLength + (binChunk ? 8 + binLength : 0)
+
+  const output = new Uint8Array(totalLength)
+  const view = new DataView(output.buffer)
+  view.setUint32(0, GLB_MAGIC, true)
+  view.setUint32(4, 2, true)
+  view.setUint32(8, totalLength, true)
+
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, GLB_CHUNK_JSON, true)
+  output.fill(0x20, 20, 20 + jsonLength) // JSON块用空格补齐
+  output.set(jsonBytes, 20)
+
+  if (binChunk) {
+    const binOffset = 20 + jsonLength
+    view.setUint32(binOffset, binLength, true)
+    view.setUint32(binOffset + 4, GLB_CHUNK_BIN, true)
+    output.set(binChunk, binOffset + 8)
+  }
+
+  return output.buffer
+}
+
+/**
+ * 解析GLB（ArrayBuffer），返回 { json, binChunk }，没有二进制块时binChunk为null
+ */
+export function decodeGLB(arrayBuffer) {
+  const view = new DataView(arrayBuffer)
+  if (view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a binary glTF (GLB) file')
+  }
+
+  let json = null
+  let binChunk = null
+  let offset = 12
+  while (offset < view.byteLength) {
+    const chunkLength = view.getUint32(offset, true)
+    const chunkType = view.getUint32(offset + 4, true)
+    const chunkData = new Uint8Array(arrayBuffer, offset + 8, chunkLength)
+    if (chunkType === GLB_CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(chunkData))
+    } else if (chunkType === GLB_CHUNK_BIN) {
+      binChunk = chunkData
+    }
+    offset += 8 + chunkLength
+  }
+
+  if (!json) {
+    throw new Error('GLB file has no JSON chunk')
+  }
+  return { json, binChunk }
+}
+
+function align4(length) {
+  return Math.ceil(length / 4) * 4
+}
@@ -0,0 +1,294 @@
+import * as THREE from 'three'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { TrackSampler, INTERPOLATION_MODES } from './TrackSampler.js'
+import { getTrackChannels } from './TrackAnalysis.js'
+import { multiSourceAnimationExtractor } from './MultiSourceAnimationExtractor.js'
+
+const MIN_KEYFRAME_GAP = 1 / 1000  // 相邻关键帧的最小间隔（秒），移动关键帧时不能越过相邻关键帧
+
+/**
+ * 关键帧编辑器
+ * 直接修改提取器中处理后的轨道（移动、插入、删除关键帧和修改值），播放立即使用修改后的数据；
+ * 记录每条轨道的原始数据用于撤销，可把修改写回GLB的AnimationClip并用GLTFExporter导出
+ */
+export class KeyframeEditor {
+  constructor(extractor) {
+    this.extractor = extractor
+    this.originals = new Map()  // 轨道 -> { sourceId, times, values }
+    this.version = 0
+    this.listeners = new Set()
+  }
+
+  getSnapshot() {
+    return { version: this.version, editedCount: this.originals.size }
+  }
+
+  isEdited(track) {
+    return this.originals.has(track)
+  }
+
+  /**
+   * 列出修改过的轨道 [{ sourceId, track }]
+   */
+  getEditedTracks() {
+    return Array.from(this.originals.entries()).map(([track, { sourceId }]) => ({ sourceId, track }))
+  }
+
+  /**
+   * 把关键帧的新时间限制在相邻关键帧之间（拖动预览和moveKeyframe使用同一规则）
+   */
+  clampKeyframeTime(track, index, time) {
+    const previous = index > 0 ? track.times[index - 1] + MIN_KEYFRAME_GAP : 0
+    const next = index < track.times.length - 1 ? track.times[index + 1] - MIN_KEYFRAME_GAP : Infinity
+    return Math.min(Math.max(time, previous), next)
+  }
+
+  /**
+   * 移动关键帧到新时间（限制在相邻关键帧之间），返回实际使用的时间
+   */
+  moveKeyframe(sourceId, track, index, time) {
+    this.checkIndex(track, index)
+    const clamped = this.clampKeyframeTime(track, index, time)
+
+    this.begin(sourceId, track)
+    track.times[index] = clamped
+    this.commit(sourceId, track)
+    return clamped
+  }
+
+  /**
+   * 修改关键帧某个通道的值；四元数修改后重新归一化
+   */
+  setKeyframeValue(sourceId, track, index, channel, value) {
+    this.checkIndex(track, index)
+    const channels = getTrackChannels(track)
+    const component = channels.indexOf(channel)
+    if (component === -1) {
+      throw new Error(`Track ${track.type} has no channel "${channel}"`)
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid keyframe value ${value}`)
+    }
+
+    this.begin(sourceId, track)
+    const offset = this.getValueOffset(track, index)
+    track.values[offset + component] = value
+
+    if (track.type === 'quaternion') {
+      const quaternion = new THREE.Quaternion().fromArray(track.values, offset).normalize()
+      quaternion.toArray(track.values, offset)
+    }
+    this.commit(sourceId, track)
+  }
+
+  /**
+   * 在指定时间插入关键帧，值取该时刻的插值结果；CUBICSPLINE的入/出切线取曲线在该时刻的导数，
+   * 因此曲线形状不变（四元数只在归一化误差内不变）
+   * 该时间已有关键帧时不插入，返回关键帧索引
+   */
+  insertKeyframe(sourceId, track, time) {
+    const existing = track.times.findIndex(keyTime => Math.abs(keyTime - time) < MIN_KEYFRAME_GAP)
+    if (existing !== -1) return existing
+
+    const valueSize = this.getValueSize(track)
+    const sampler = new TrackSampler(track, valueSize)
+    const sampled = sampler.sample(time, sampler.createOutput())
+    const value = getTrackChannels(track).map(channel => sampled[channel])
+
+    const isCubic = track.interpolation === INTERPOLATION_MODES.CUBICSPLINE
+    const tangent = isCubic ? getCubicSplineTangent(track, valueSize, time) : null
+    const keyValues = isCubic ? [...tangent, ...value, ...tangent] : value
+
+    let index = track.times.findIndex(keyTime => keyTime > time)
+    if (index === -1) index = track.times.length
+
+    this.begin(sourceId, track)
+    track.times.splice(index, 0, Math.max(time, 0))
+    track.values.splice(index * this.getStride(track), 0, ...keyValues)
+    this.commit(sourceId, track)
+    return index
+  }
+
+  /**
+   * 删除关键帧（至少保留一个）
+   */
+  deleteKeyframe(sourceId, track, index) {
+    this.checkIndex(track, index)
+    if (track.times.length <= 1) {
+      throw new Error('A track needs at least one keyframe')
+    }
+
+    const stride = this.getStride(track)
+    this.begin(sourceId, track)
+    track.times.splice(index, 1)
+    track.values.splice(index * stride, stride)
+    this.commit(sourceId, track)
+  }
+
+  /**
+   * 恢复轨道的原始关键帧
+   */
+  revert(track) {
+    const original = this.originals.get(track)
+    if (!original) return
+
+    track.times = original.times
+    track.values = original.values
+    this.originals.delete(track)
+    this.commit(original.sourceId, track)
+  }
+
+  revertAll() {
+    Array.from(this.originals.keys()).forEach(track => this.revert(track))
+  }
+
+  /**
+   * 第一次修改轨道前保存原始数据
+   */
+  begin(sourceId, track) {
+    if (this.originals.has(track)) return
+
+    this.originals.set(track, {
+      sourceId,
+      times: Array.from(track.times),
+      values: Array.from(track.values)
+    })
+    track.times = Array.from(track.times)
+    track.values = Array.from(track.values)
+  }
+
+  /**
+   * 修改后重建关键帧值列表，让提取器丢弃旧的采样器并更新时间线
+   */
+  commit(sourceId, track) {
+    const valueSize = this.getValueSize(track)
+    track.keyframes = track.times.map((time, index) =>
+      this.extractor.readKeyframeValue(track.values, this.getValueOffset(track, index), valueSize)
+    )
+
+    const timelineChanged = this.extractor.invalidateTrack(sourceId, track)
+    this.version++
+    this.emit({ timelineChanged })
+  }
+
+  getValueSize(track) {
+    return track.valueSize || getTrackChannels(track).length
+  }
+
+  getStride(track) {
+    const valueSize = this.getValueSize(track)
+    return track.interpolation === INTERPOLATION_MODES.CUBICSPLINE ? valueSize * 3 : valueSize
+  }
+
+  /**
+   * 关键帧值在values中的起始位置（CUBICSPLINE跳过入切线）
+   */
+  getValueOffset(track, index) {
+    const valueSize = this.getValueSize(track)
+    const stride = this.getStride(track)
+    return index * stride + (stride === valueSize ? 0 : valueSize)
+  }
+
+  checkIndex(track, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= track.times.length) {
+      throw new Error(`Keyframe ${index} is out of range (${track.times.length} keyframes)`)
+    }
+  }
+
+  /**
+   * 把修改过的轨道写回AnimationClip（替换同名KeyframeTrack的times/values，保留插值方式），返回替换的轨道数
+   */
+  applyToClips(clips, modelPath) {
+    let replaced = 0
+
+    this.getEditedTracks().forEach(({ sourceId, track }) => {
+      const source = this.extractor.getTrackSource(sourceId)
+      if (!source || source.modelPath !== modelPath) return
+
+      clips.forEach(clip => {
+        clip.tracks.forEach(clipTrack => {
+          const [objectName, propertyName] = clipTrack.name.split('.')
+          if (propertyName !== track.type || !source.ownsObject(objectName)) return
+
+          clipTrack.times = new Float32Array(track.times)
+          clipTrack.values = new Float32Array(track.values)
+          replaced++
+        })
+        clip.resetDuration()
+      })
+    })
+
+    return replaced
+  }
+
+  /**
+   * 导出应用了修改的GLB（ArrayBuffer），原GLB从共享资源注册表获取
+   */
+  async exportGLB(modelPath) {
+    const gltf = await this.extractor.assets.acquire(modelPath)
+
+    try {
+      const animations = gltf.animations.map(clip => clip.clone())
+      this.applyToClips(animations, modelPath)
+      return await new GLTFExporter().parseAsync(gltf.scene, { binary: true, animations })
+    } finally {
+      this.extractor.assets.release(modelPath)
+    }
+  }
+
+  /**
+   * 导出修改后的动画数据（动画缓存格式，可通过清单的 animationCache 加载）
+   */
+  exportAnimationJSON() {
+    return JSON.stringify(this.extractor.exportAnimationCache())
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener({ ...this.getSnapshot(), timelineChanged: false })
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(change) {
+    if (this.listeners.size === 0) return
+    const snapshot = { ...this.getSnapshot(), ...change }
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+}
+
+/**
+ * CUBICSPLINE轨道在time处对时间的导数（两个关键帧之间的Hermite曲线求导）
+ * 在第一个关键帧之前或最后一个关键帧之后曲线保持不变，导数为0
+ */
+function getCubicSplineTangent(track, valueSize, time) {
+  const tangent = new Array(valueSize).fill(0)
+  const next = track.times.findIndex(keyTime => keyTime > time)
+  if (next <= 0) return tangent
+
+  const index = next - 1
+  const duration = track.times[next] - track.times[index]
+  const p = (time - track.times[index]) / duration
+
+  // Hermite基函数对p的导数
+  const d0 = 6 * p * p - 6 * p
+  const d1 = 3 * p * p - 4 * p + 1
+  const d2 = -d0
+  const d3 = 3 * p * p - 2 * p
+
+  const stride = valueSize * 3
+  const start = index * stride
+  const end = next * stride
+  for (let i = 0; i < valueSize; i++) {
+    const p0 = track.values[start + valueSize + i]
+    const m0 = track.values[start + valueSize * 2 + i] * duration
+    const p1 = track.values[end + valueSize + i]
+    const m1 = track.values[end + i] * duration
+    tangent[i] = (d0 * p0 + d1 * m0 + d2 * p1 + d3 * m1) / duration
+  }
+  return tangent
+}
+
+/**
+ * 全局关键帧编辑器实例
+ */
+export const keyframeEditor = new KeyframeEditor(multiSourceAnimationExtractor)
@@ -0,0 +1,79 @@
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+
+/**
+ * 默认解码器配置
+ * 解码器文件由 scripts/copy-decoders.js 从three复制到public/decoders，运行时无需访问外网
+ */
+export const DEFAULT_LOADER_OPTIONS = {
+  draco: '/decoders/draco/',   // Draco解码器目录，null表示不支持Draco压缩
+  ktx2: '/decoders/basis/',    // Basis转码器目录，null表示不支持KTX2纹理
+  meshopt: true                // 是否启用meshopt解码（解码器内嵌在JS中，无需额外文件）
+}
+
+/**
+ * GLTFLoader解码管线
+ * 按清单的loaders配置创建Draco/KTX2/meshopt解码器，所有GLTFLoader共享同一组解码器和worker
+ */
+export class LoaderPipeline {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_LOADER_OPTIONS, ...options }
+    this.dracoLoader = null
+    this.ktx2Loader = null
+    this.renderer = null
+  }
+
+  getDRACOLoader() {
+    if (!this.options.draco) return null
+    if (!this.dracoLoader) {
+      this.dracoLoader = new DRACOLoader()
+      this.dracoLoader.setDecoderPath(this.options.draco)
+    }
+    return this.dracoLoader
+  }
+
+  getKTX2Loader() {
+    if (!this.options.ktx2) return null
+    if (!this.ktx2Loader) {
+      this.ktx2Loader = new KTX2Loader()
+      this.ktx2Loader.setTranscoderPath(this.options.ktx2)
+      if (this.renderer) this.ktx2Loader.detectSupport(this.renderer)
+    }
+    return this.ktx2Loader
+  }
+
+  /**
+   * KTX2转码需要知道渲染器支持的压缩纹理格式，加载KTX2纹理之前必须调用
+   */
+  detectSupport(renderer) {
+    if (this.renderer === renderer) return this
+    this.renderer = renderer
+    if (this.ktx2Loader) this.ktx2Loader.detectSupport(renderer)
+    return this
+  }
+
+  /**
+   * 为GLTFLoader设置已启用的解码器
+   */
+  configure(loader) {
+    const dracoLoader = this.getDRACOLoader()
+    if (dracoLoader) loader.setDRACOLoader(dracoLoader)
+
+    const ktx2Loader = this.getKTX2Loader()
+    if (ktx2Loader) loader.setKTX2Loader(ktx2Loader)
+
+    if (this.options.meshopt) loader.setMeshoptDecoder(MeshoptDecoder)
+    return loader
+  }
+
+  /**
+   * 释放解码器worker
+   */
+  dispose() {
+    this.dracoLoader?.dispose()
+    this.ktx2Loader?.dispose()
+    this.dracoLoader = null
+    this.ktx2Loader = null
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * 资源加载状态
+ */
+export const LOAD_STATUS = {
+  PENDING: 'pending',
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  ERROR: 'error'
+}
+
+/**
+ * 加载进度跟踪器
+ * 按URL记录每个资源的已加载字节数和总字节数，并向订阅者推送汇总快照
+ */
+export class LoadingProgressTracker {
+  constructor() {
+    this.entries = new Map()
+    this.listeners = new Set()
+  }
+
+  /**
+   * 登记一个资源（同一URL被多个动画源使用时合并标签，未给出标签时使用URL）
+   */
+  begin(url, label) {
+    const entry = this.entries.get(url)
+    if (entry) {
+      if (label && !entry.labels.includes(label)) entry.labels.push(label)
+      if (entry.status === LOAD_STATUS.ERROR) {
+        entry.status = LOAD_STATUS.PENDING
+        entry.error = null
+      }
+    } else {
+      this.entries.set(url, {
+        url,
+        labels: [label || url],
+        loaded: 0,
+        total: 0,
+        status: LOAD_STATUS.PENDING,
+        error: null
+      })
+    }
+    this.emit()
+  }
+
+  /**
+   * 更新字节进度，event为XHR/fetch的ProgressEvent
+   */
+  update(url, event) {
+    const entry = this.entries.get(url)
+    if (!entry || entry.status === LOAD_STATUS.LOADED) return
+
+    entry.loaded = event.loaded
+    entry.total = event.lengthComputable ? event.total : 0
+    entry.status = LOAD_STATUS.LOADING
+    this.emit()
+  }
+
+  complete(url) {
+    const entry = this.entries.get(url)
+    if (!entry || entry.status === LOAD_STATUS.LOADED) return
+
+    entry.status = LOAD_STATUS.LOADED
+    if (entry.total > 0) entry.loaded = entry.total
+    this.emit()
+  }
+
+  fail(url, error) {
+    const entry = this.entries.get(url)
+    if (!entry) return
+
+    entry.status = LOAD_STATUS.ERROR
+    entry.error = error?.message || String(error)
+    this.emit()
+  }
+
+  /**
+   * 移除资源（例如缓存加载失败并已回退到其他资源时）
+   */
+  remove(url) {
+    if (this.entries.delete(url)) this.emit()
+  }
+
+  /**
+   * 订阅进度变化，返回取消订阅函数；订阅时立即收到当前快照
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getSnapshot())
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 汇总快照
+   * progress在所有资源总大小已知时为字节比例，否则按已完成资源数量估算
+   */
+  getSnapshot() {
+    const items = Array.from(this.entries.values()).map(entry => ({ ...entry, labels: [...entry.labels] }))
+    const loaded = items.reduce((sum, item) => sum + item.loaded, 0)
+    const total = items.reduce((sum, item) => sum + item.total, 0)
+    const finished = items.filter(item => item.status === LOAD_STATUS.LOADED || item.status === LOAD_STATUS.ERROR)
+    const sizesKnown = items.every(item => item.total > 0 || item.status === LOAD_STATUS.LOADED)
+
+    let progress = 0
+    if (items.length > 0) {
+      progress = sizesKnown && total > 0 ? loaded / total : finished.length / items.length
+    }
+
+    return {
+      items,
+      loaded,
+      total,
+      progress: Math.min(1, progress),
+      pending: items.filter(item => !finished.includes(item)),
+      failed: items.filter(item => item.status === LOAD_STATUS.ERROR),
+      done: items.length > 0 && finished.length === items.length
+    }
+  }
+
+  emit() {
+    if (this.listeners.size === 0) return
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+}
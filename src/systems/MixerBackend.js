@@ -0,0 +1,374 @@
+import * as THREE from 'three'
+import { TrackSampler, INTERPOLATION_MODES } from './TrackSampler.js'
+import { AnimationTimeline } from './AnimationTimeline.js'
+import { resolveEasing } from './Easing.js'
+
+/**
+ * 播放后端
+ * sampler - 提取器的TrackSampler逐帧采样，由AnimatedCamera / AnimatedRings手动应用（默认）
+ * mixer - 把处理后的轨道转换为AnimationClip，由THREE.AnimationMixer驱动
+ */
+export const PLAYBACK_BACKENDS = {
+  SAMPLER: 'sampler',
+  MIXER: 'mixer'
+}
+
+// 环动画缺少某个通道时，sampler后端使用的默认值（见 sampleRingTracks）
+// 旋转默认值为单位四元数：所有旋转轨道（包括欧拉角轨道）都绑定到 .quaternion，按权重球面插值
+const RING_DEFAULT_TRACKS = {
+  position: { type: 'position', values: [0, 0, 0] },
+  rotation: { type: 'quaternion', values: [0, 0, 0, 1] },
+  scale: { type: 'scale', values: [1, 1, 1] }
+}
+
+/**
+ * glTF CUBICSPLINE插值器（与GLTFLoader中的实现相同，每个关键帧存储 [入切线, 值, 出切线]）
+ */
+export class CubicSplineInterpolant extends THREE.Interpolant {
+  copySampleValue_(index) {
+    const result = this.resultBuffer
+    const valueSize = this.valueSize
+    const offset = index * valueSize * 3 + valueSize
+
+    for (let i = 0; i !== valueSize; i++) {
+      result[i] = this.sampleValues[offset + i]
+    }
+    return result
+  }
+
+  interpolate_(i1, t0, t, t1) {
+    const result = this.resultBuffer
+    const values = this.sampleValues
+    const stride = this.valueSize
+    const stride3 = stride * 3
+
+    const td = t1 - t0
+    const p = (t - t0) / td
+    const pp = p * p
+    const ppp = pp * p
+
+    const offset1 = i1 * stride3
+    const offset0 = offset1 - stride3
+
+    const s2 = -2 * ppp + 3 * pp
+    const s3 = ppp - pp
+    const s0 = 1 - s2
+    const s1 = s3 - pp + p
+
+    for (let i = 0; i !== stride; i++) {
+      const p0 = values[offset0 + i + stride]          // 前一关键帧的值
+      const m0 = values[offset0 + i + stride * 2] * td // 前一关键帧的出切线
+      const p1 = values[offset1 + i + stride]          // 后一关键帧的值
+      const m1 = values[offset1 + i] * td              // 后一关键帧的入切线
+
+      result[i] = s0 * p0 + s1 * m0 + s2 * p1 + s3 * m1
+    }
+    return result
+  }
+}
+
+const _quaternion = new THREE.Quaternion()
+
+/**
+ * 四元数CUBICSPLINE插值器，插值结果重新归一化
+ */
+class CubicSplineQuaternionInterpolant extends CubicSplineInterpolant {
+  interpolate_(i1, t0, t, t1) {
+    const result = super.interpolate_(i1, t0, t, t1)
+    _quaternion.fromArray(result).normalize().toArray(result)
+    return result
+  }
+}
+
+// 欧拉角轨道转换为四元数时的重新采样帧率
+const EULER_RESAMPLE_RATE = 30
+
+/**
+ * 把欧拉角旋转轨道转换为四元数轨道
+ * PropertyBinding用Euler.fromArray写入 .rotation，它忽略偏移量，VectorKeyframeTrack无法正确驱动欧拉角
+ * 欧拉角的线性/三次插值与四元数插值不同，按EULER_RESAMPLE_RATE重新采样为线性关键帧（STEP直接逐帧转换）
+ */
+function toQuaternionTrack(track) {
+  const isStep = track.interpolation === INTERPOLATION_MODES.STEP
+  const sampler = new TrackSampler(track, 3)
+  const times = isStep ? Array.from(track.times) : resampleTimes(track.times)
+  const euler = new THREE.Euler()
+  const sample = sampler.createOutput()
+  const previous = new THREE.Quaternion()
+  const values = []
+
+  times.forEach((time, index) => {
+    sampler.sample(time, sample)
+    _quaternion.setFromEuler(euler.set(sample.x, sample.y, sample.z))
+    // 与前一关键帧保持在同一半球，避免插值绕远路
+    if (index > 0 && _quaternion.dot(previous) < 0) {
+      _quaternion.set(-_quaternion.x, -_quaternion.y, -_quaternion.z, -_quaternion.w)
+    }
+    previous.copy(_quaternion)
+    values.push(_quaternion.x, _quaternion.y, _quaternion.z, _quaternion.w)
+  })
+
+  return {
+    ...track,
+    type: 'quaternion',
+    interpolation: isStep ? INTERPOLATION_MODES.STEP : INTERPOLATION_MODES.LINEAR,
+    times,
+    values
+  }
+}
+
+function resampleTimes(keyTimes) {
+  const start = keyTimes[0]
+  const end = keyTimes[keyTimes.length - 1]
+  if (end <= start) return [start]
+
+  const count = Math.max(1, Math.ceil((end - start) * EULER_RESAMPLE_RATE))
+  const times = []
+  for (let i = 0; i <= count; i++) {
+    times.push(start + ((end - start) * i) / count)
+  }
+  return times
+}
+
+/**
+ * 把处理后的轨道转换为KeyframeTrack，name为PropertyBinding路径（如 ".position"）
+ * 欧拉角 .rotation 轨道转换为 .quaternion 轨道
+ */
+export function createKeyframeTrack(name, track) {
+  if (track.type === 'rotation') {
+    return createKeyframeTrack(name.replace(/rotation$/, 'quaternion'), toQuaternionTrack(track))
+  }
+
+  const TrackType = track.type === 'quaternion'
+    ? THREE.QuaternionKeyframeTrack
+    : track.type === 'fov'
+      ? THREE.NumberKeyframeTrack
+      : THREE.VectorKeyframeTrack
+  const keyframeTrack = new TrackType(name, new Float32Array(track.times), new Float32Array(track.values))
+
+  if (track.interpolation === INTERPOLATION_MODES.STEP) {
+    keyframeTrack.setInterpolation(THREE.InterpolateDiscrete)
+  } else if (track.interpolation === INTERPOLATION_MODES.CUBICSPLINE) {
+    const Interpolant = track.type === 'quaternion' ? CubicSplineQuaternionInterpolant : CubicSplineInterpolant
+    keyframeTrack.createInterpolant = function (result) {
+      return new Interpolant(this.times, this.values, this.getValueSize() / 3, result)
+    }
+    keyframeTrack.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true
+  }
+
+  return keyframeTrack
+}
+
+/**
+ * 把一个动画源的轨道（{ position, rotation, scale, fov }）转换为绑定到单个对象的AnimationClip
+ * defaults为缺少的通道补上单关键帧的常量轨道，使混合权重之和始终为1
+ */
+export function createSourceClip(name, tracks, duration, defaults = {}) {
+  const properties = new Set([...Object.keys(tracks), ...Object.keys(defaults)])
+  const keyframeTracks = []
+
+  properties.forEach(property => {
+    const track = tracks[property]
+    if (track && Array.isArray(track.times) && track.times.length > 0) {
+      keyframeTracks.push(createKeyframeTrack(`.${track.type}`, track))
+    } else if (defaults[property]) {
+      const { type, values } = defaults[property]
+      keyframeTracks.push(createKeyframeTrack(`.${type}`, { type, times: [0], values }))
+    }
+  })
+
+  return new THREE.AnimationClip(name, duration, keyframeTracks)
+}
+
+/**
+ * AnimationMixer播放后端
+ * 每个动画源（v6各环、各环的Scenes B动画、Camera.glb）转换为一个AnimationAction，
+ * 每帧按时间线设置各action的时间和权重（片段开头的blendIn通过权重交叉淡入），由mixer完成插值和混合；
+ * 机位片段的相机和结尾修饰器仍由提取器计算，在mixer更新后叠加
+ *
+ * mixer驱动的是后端内部的代理对象，再把代理的变换（叠加修饰器后）写到绑定的环和相机上：
+ * PropertyMixer只在混合结果变化时写入属性，直接驱动场景对象会让修饰器逐帧累加
+ */
+export class MixerPlaybackBackend {
+  constructor(extractor) {
+    this.extractor = extractor
+    this.root = new THREE.Object3D() // mixer的默认根对象，实际绑定对象在clipAction时指定
+    this.mixer = new THREE.AnimationMixer(this.root)
+    this.rings = {}                  // 环ID -> 场景中的Object3D
+    this.camera = null
+    this.ringProxies = {}            // 环ID -> mixer驱动的代理对象
+    this.cameraProxy = new THREE.PerspectiveCamera()
+    this.actions = new Map()         // 代理对象 -> Map(动画源轨道 -> AnimationAction)
+    this.weights = new Map()         // 每帧复用：AnimationAction -> 权重
+  }
+
+  bindRing(ringId, object) {
+    this.rings[ringId] = object
+    if (!this.ringProxies[ringId]) this.ringProxies[ringId] = new THREE.Object3D()
+  }
+
+  bindCamera(camera) {
+    this.camera = camera
+  }
+
+  /**
+   * 丢弃已创建的clip和action（关键帧被编辑后调用，下一帧按新数据重新创建）
+   */
+  reset() {
+    this.mixer.stopAllAction()
+    this.mixer = new THREE.AnimationMixer(this.root)
+    this.actions = new Map()
+  }
+
+  /**
+   * 获取代理对象上某个动画源的action，首次使用时创建clip
+   */
+  getAction(proxy, tracks, duration, name, defaults) {
+    let proxyActions = this.actions.get(proxy)
+    if (!proxyActions) {
+      proxyActions = new Map()
+      this.actions.set(proxy, proxyActions)
+    }
+
+    let action = proxyActions.get(tracks)
+    if (!action) {
+      action = this.mixer.clipAction(createSourceClip(name, tracks, duration, defaults), proxy)
+      action.play()
+      proxyActions.set(tracks, action)
+    }
+    return action
+  }
+
+  /**
+   * 按片段时间设置动画源action的时间，并累加权重（两个片段使用同一动画源时以当前片段的时间为准）
+   */
+  weightClip(action, segment, phaseTime, duration, weight) {
+    if (!this.weights.has(action)) {
+      action.time = AnimationTimeline.getClipTime(segment, phaseTime, duration)
+      this.weights.set(action, 0)
+    }
+    this.weights.set(action, this.weights.get(action) + weight)
+  }
+
+  /**
+   * 应用本帧的权重，代理对象上其余action的权重为0
+   */
+  applyWeights(proxy) {
+    this.actions.get(proxy)?.forEach(action => {
+      action.setEffectiveWeight(this.weights.get(action) || 0)
+    })
+  }
+
+  /**
+   * 为片段中环使用的动画源设置权重，返回动画源轨道（片段没有该环的动画时返回null）
+   */
+  weightRing(ringId, segment, phaseTime, weight) {
+    const clip = this.extractor.resolveRingClip(segment.rings, ringId)
+    if (!clip || !clip.tracks) return null
+
+    const action = this.getAction(this.ringProxies[ringId], clip.tracks, clip.duration, `${segment.rings}/${ringId}`, RING_DEFAULT_TRACKS)
+    this.weightClip(action, segment, phaseTime, clip.duration, weight)
+    return clip.tracks
+  }
+
+  /**
+   * 相机使用Camera.glb动画的片段返回动画数据，机位片段返回null
+   */
+  resolveCameraClip(segment) {
+    if (this.extractor.shotTracks.has(segment.id)) return null
+    return this.extractor.resolveCameraClip(segment.camera)
+  }
+
+  /**
+   * 把时间线时间的动画应用到绑定的环和相机上
+   */
+  update(time) {
+    const currentPhase = this.extractor.getCurrentPhase(time)
+    if (!currentPhase) return
+
+    const { segment, phaseTime } = currentPhase
+    const { blendIn } = segment
+    const previous = blendIn && segment.index > 0 && phaseTime < blendIn.duration
+      ? this.extractor.timeline.getSegments()[segment.index - 1]
+      : null
+    const blendWeight = previous ? resolveEasing(blendIn.easing)(Math.max(phaseTime, 0) / blendIn.duration) : 1
+
+    this.weights.clear()
+
+    const ringTracks = {}
+    Object.keys(this.rings).forEach(ringId => {
+      ringTracks[ringId] = this.weightRing(ringId, segment, phaseTime, blendWeight)
+      if (previous) this.weightRing(ringId, previous, previous.duration + phaseTime, 1 - blendWeight)
+      this.applyWeights(this.ringProxies[ringId])
+    })
+
+    const cameraClip = this.camera && this.resolveCameraClip(segment)
+    if (cameraClip) {
+      const action = this.getAction(this.cameraProxy, cameraClip, cameraClip.duration, 'camera', this.getCameraDefaultTracks())
+      this.weightClip(action, segment, phaseTime, cameraClip.duration, 1)
+    }
+    this.applyWeights(this.cameraProxy)
+
+    this.mixer.update(0)
+
+    // 代理的变换叠加结尾修饰器后写到场景对象上；片段没有该环的动画时环保持不动（与sampler后端一致）
+    Object.entries(this.rings).forEach(([ringId, object]) => {
+      const tracks = ringTracks[ringId]
+      if (!tracks) return
+      const transform = readTransform(this.ringProxies[ringId], tracks.rotation?.type === 'rotation')
+      writeTransform(object, this.extractor.modifiers.applyToRing(ringId, transform, time))
+    })
+
+    if (this.camera) {
+      const transform = cameraClip
+        ? this.extractor.modifiers.applyToCamera({
+            ...readTransform(this.cameraProxy, cameraClip.rotation?.type === 'rotation'),
+            fov: this.cameraProxy.fov
+          }, time)
+        : this.extractor.getCameraTransformAtTime(time)
+      if (transform) {
+        writeTransform(this.camera, transform)
+        if (transform.fov !== undefined) this.camera.fov = transform.fov
+        this.camera.updateProjectionMatrix()
+      }
+    }
+  }
+
+  /**
+   * 相机动画缺少的通道使用默认机位（与sampler后端一致）
+   */
+  getCameraDefaultTracks() {
+    const pose = this.extractor.cameraShots.getDefaultTransform()
+    if (!pose) return {}
+
+    const { position, rotation, fov } = pose
+    return {
+      position: { type: 'position', values: [position.x, position.y, position.z] },
+      rotation: { type: 'quaternion', values: [rotation.x, rotation.y, rotation.z, rotation.w] },
+      fov: { type: 'fov', values: [fov] }
+    }
+  }
+}
+
+/**
+ * 读取对象的变换，旋转按动画源的类型读取为欧拉角或四元数（修饰器对两者的叠加方式不同）
+ */
+function readTransform(object, useEuler = false) {
+  const { position, rotation, quaternion, scale } = object
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    rotation: useEuler
+      ? { x: rotation.x, y: rotation.y, z: rotation.z }
+      : { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+    scale: { x: scale.x, y: scale.y, z: scale.z }
+  }
+}
+
+function writeTransform(object, { position, rotation, scale }) {
+  if (position) object.position.set(position.x, position.y, position.z)
+  if (rotation) {
+    if (rotation.w !== undefined) object.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
+    else object.rotation.set(rotation.x, rotation.y, rotation.z)
+  }
+  if (scale) object.scale.set(scale.x, scale.y, scale.z)
+}
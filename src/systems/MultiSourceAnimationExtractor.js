@@ -1,112 +1,463 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import {
+  sceneManifest,
+  SOURCE_ROLES,
+  validateSceneManifest,
+  getRingIds,
+  getSourcesByRole,
+  resolveSourceRole,
+  findRingIdByMeshObject
+} from './SceneManifest.js'
+import { AnimationTimeline } from './AnimationTimeline.js'
+import { TrackSampler, INTERPOLATION_MODES, readKeyframeValue } from './TrackSampler.js'
+import { LoadingProgressTracker } from './LoadingProgress.js'
+import { LoaderPipeline } from './LoaderPipeline.js'
+import { AssetRegistry } from './AssetRegistry.js'
+import { CameraShotList, CAMERA_MODES, validateCameraShot } from './CameraShots.js'
+import { AnimationModifiers } from './AnimationModifiers.js'
+import { blendTransforms } from './PoseBlending.js'
+import { resolveEasing } from './Easing.js'
+import { DiagnosticsLog, DIAGNOSTIC_CODES, DIAGNOSTIC_SEVERITY, classifyLoadError } from './Diagnostics.js'
+import { serializeAnimationData, deserializeAnimationData, findStaleCacheSources } from './AnimationCache.js'
+
+export { INTERPOLATION_MODES, CAMERA_MODES }
+
+/**
+ * 各属性类型每个关键帧的分量数
+ */
+const COMPONENT_COUNTS = {
+  position: 3,
+  scale: 3,
+  rotation: 3,
+  quaternion: 4,
+  fov: 1
+}
 
 /**
  * 多源动画提取器
  * 从Camera.glb和Scenes B系列模型中提取完整的动画数据
+ * 动画源、目标对象和环的对应关系由场景清单（src/config/sceneManifest.json）声明
  */
 export class MultiSourceAnimationExtractor {
-  constructor() {
+  constructor(manifest = sceneManifest) {
     this.isInitialized = false
-    this.animationData = {
+    this.initializing = null         // 进行中或已完成的初始化
+    this.manifest = validateSceneManifest(manifest)
+    this.animationData = this.createEmptyAnimationData()
+    this.timeline = new AnimationTimeline(this.manifest.timeline)
+    this.cameraShotOverrides = {}    // 机位ID -> 保存的机位（覆盖清单中的机位）
+    this.cameraShots = new CameraShotList(this.getCameraShotConfig())
+    this.shotTracks = new Map()      // 片段ID -> CameraShotTrack
+    this.modifiers = new AnimationModifiers(this.manifest.modifiers, this.getRingIds())
+    this.blendTargets = {}           // 环ID -> 交叉淡入时上一片段的采样结果
+    this.trackSamplers = new WeakMap()  // 处理后的轨道 -> TrackSampler
+    this.totalDuration = 0
+    this.progress = new LoadingProgressTracker()
+    this.diagnostics = new DiagnosticsLog()
+    this.dataListeners = new Set()
+    this.loader = new GLTFLoader()
+    
+    // 设置Draco/KTX2/meshopt解码器（清单loaders配置）
+    this.loaders = new LoaderPipeline(this.manifest.loaders)
+    this.configureLoader(this.loader)
+
+    // 与React组件共享的GLB缓存，提取完成后释放提取器持有的引用
+    this.assets = new AssetRegistry((url, label) => this.fetchGLTF(url, label))
+    this.heldAssets = []
+  }
+
+  /**
+   * 为GLTFLoader配置与提取器相同的解码器（也用于组件中的useLoader）
+   */
+  configureLoader(loader) {
+    return this.loaders.configure(loader)
+  }
+
+  /**
+   * 设置渲染器，KTX2纹理转码需要检测渲染器支持的压缩格式
+   */
+  setRenderer(renderer) {
+    this.loaders.detectSupport(renderer)
+  }
+
+  /**
+   * 订阅各资源的加载进度，返回取消订阅函数
+   */
+  subscribeLoadingProgress(listener) {
+    return this.progress.subscribe(listener)
+  }
+
+  /**
+   * 订阅诊断信息，返回取消订阅函数
+   */
+  subscribeDiagnostics(listener) {
+    return this.diagnostics.subscribe(listener)
+  }
+
+  /**
+   * 订阅动画数据就绪（初始化完成），返回取消订阅函数；已就绪时立即通知
+   */
+  subscribeAnimationData(listener) {
+    this.dataListeners.add(listener)
+    if (this.isInitialized) listener(this.animationData)
+    return () => this.dataListeners.delete(listener)
+  }
+
+  /**
+   * 记录动画源加载/解析失败
+   */
+  reportSourceFailure(sourceId, url, error, fallback) {
+    const { code, reason } = classifyLoadError(error)
+    this.diagnostics.report({
+      code,
+      source: sourceId,
+      url,
+      reason,
+      message: error?.message || String(error),
+      fallback
+    })
+  }
+
+  /**
+   * 记录动画源中没有可用的动画（没有clip、clip没有轨道或找不到目标对象）
+   * 返回null，供extract*方法直接返回
+   */
+  reportMissingAnimation(sourceId, url, animations, objectName, fallback) {
+    const trackCount = animations.reduce((sum, animation) => sum + animation.tracks.length, 0)
+    const objects = collectTrackObjects(animations)
+
+    let diagnostic
+    if (animations.length === 0) {
+      diagnostic = { code: DIAGNOSTIC_CODES.NO_ANIMATIONS, reason: 'No animations', message: `${url} contains no animations` }
+    } else if (trackCount === 0) {
+      diagnostic = { code: DIAGNOSTIC_CODES.NO_TRACKS, reason: 'Zero tracks', message: `${url} has ${animations.length} animation(s) but no tracks` }
+    } else {
+      diagnostic = {
+        code: DIAGNOSTIC_CODES.MISSING_OBJECT,
+        reason: 'Missing object',
+        message: `No tracks target "${objectName}" in ${url}`,
+        details: { objectName, availableObjects: objects }
+      }
+    }
+
+    this.diagnostics.report({
+      severity: DIAGNOSTIC_SEVERITY.WARNING,
+      source: sourceId,
+      url,
+      fallback,
+      ...diagnostic
+    })
+    return null
+  }
+
+  /**
+   * 根据清单中的环创建空的动画数据结构
+   */
+  createEmptyAnimationData() {
+    const rings = {}
+    getRingIds(this.manifest).forEach(ringId => {
+      rings[ringId] = null
+    })
+
+    return {
       v6Original: null,  // v6模型的原始动画
       camera: null,
-      rings: {
-        ring1: null, // Scenes_B_00100
-        ring2: null, // Scenes_B_0023
-        ring3: null  // Scenes_B_00100001
-      }
+      rings               // 环ID -> Scenes B动画数据
     }
+  }
+
+  /**
+   * 替换场景清单（需要重新initialize）
+   */
+  setManifest(manifest) {
+    this.manifest = validateSceneManifest(manifest)
+    this.animationData = this.createEmptyAnimationData()
+    this.timeline = new AnimationTimeline(this.manifest.timeline)
+    this.cameraShotOverrides = {}
+    this.cameraShots = new CameraShotList(this.getCameraShotConfig())
+    this.shotTracks = new Map()
+    this.modifiers = new AnimationModifiers(this.manifest.modifiers, this.getRingIds())
+    this.blendTargets = {}
     this.totalDuration = 0
-    this.phaseDurations = {
-      phase1: 0,  // v6原始动画
-      phase2: 2,  // 相机过渡时间
-      phase3: 0   // 多源动画系统
-    }
-    this.loader = new GLTFLoader()
-    
-    // 设置DRACO解码器
-    const dracoLoader = new DRACOLoader()
-    dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/')
-    this.loader.setDRACOLoader(dracoLoader)
+    this.isInitialized = false
+    this.initializing = null
+    this.diagnostics.clear()
+
+    const { renderer } = this.loaders
+    this.loaders.dispose()
+    this.loaders = new LoaderPipeline(this.manifest.loaders)
+    if (renderer) this.loaders.detectSupport(renderer)
+    this.configureLoader(this.loader)
+  }
+
+  /**
+   * 清单中的机位表，叠加保存的机位覆盖
+   */
+  getCameraShotConfig() {
+    const config = this.manifest.cameraShots || {}
+    const shots = { ...config.shots }
+    Object.entries(this.cameraShotOverrides).forEach(([shotId, pose]) => {
+      shots[shotId] = { label: shots[shotId]?.label, ...pose }
+    })
+    return { ...config, shots }
+  }
+
+  /**
+   * 获取清单中的机位ID和名称
+   */
+  getCameraShotIds() {
+    return Object.entries(this.manifest.cameraShots?.shots || {}).map(([id, shot]) => ({ id, label: shot.label || id }))
+  }
+
+  /**
+   * 用保存的机位覆盖清单中的机位（static/transition/shots片段使用的机位），已初始化时立即重建机位轨道
+   * overrides: 机位ID -> { position, target 或 rotation, fov }，不在其中的机位恢复为清单中的值
+   * 指向不存在的机位或机位数据无效的覆盖会被逐个跳过并记录诊断，其余覆盖照常应用
+   */
+  setCameraShotOverrides(overrides = {}) {
+    const shots = this.manifest.cameraShots?.shots || {}
+    const applied = {}
+    Object.entries(overrides).forEach(([shotId, pose]) => {
+      try {
+        if (!shots[shotId]) {
+          throw new Error(`Unknown camera shot "${shotId}"`)
+        }
+        applied[shotId] = validateCameraShot(pose, `Camera shot override "${shotId}"`)
+      } catch (error) {
+        this.diagnostics.report({
+          code: DIAGNOSTIC_CODES.INVALID_CAMERA_SHOT,
+          severity: DIAGNOSTIC_SEVERITY.WARNING,
+          source: shotId,
+          message: error.message,
+          fallback: shots[shotId] ? 'Using the manifest camera shot' : 'Ignoring the override'
+        })
+      }
+    })
+
+    this.cameraShotOverrides = applied
+    this.cameraShots = new CameraShotList(this.getCameraShotConfig())
+    if (this.isInitialized) this.buildShotTracks()
+  }
+
+  /**
+   * 获取清单中声明的环ID
+   */
+  getRingIds() {
+    return getRingIds(this.manifest)
+  }
+
+  /**
+   * 初始化并提取所有动画数据
+   * 多次调用共享同一次初始化（应用可以在场景模型加载的同时提前开始），setManifest后重新初始化
+   */
+  initialize() {
+    if (!this.initializing) this.initializing = this.extractAnimations()
+    return this.initializing
   }
 
   /**
-   * 初始化并提取所有动画数据（三阶段版本）
+   * 提取所有动画数据
+   * 清单声明了animationCache时优先读取烘焙缓存，失败后再回退到逐个加载GLB
    */
-  async initialize() {
+  async extractAnimations() {
+    if (this.manifest.animationCache) {
+      try {
+        return await this.initializeFromCache(this.manifest.animationCache)
+      } catch (error) {
+        this.diagnostics.report({
+          code: DIAGNOSTIC_CODES.CACHE_UNAVAILABLE,
+          severity: DIAGNOSTIC_SEVERITY.INFO,
+          source: 'animationCache',
+          url: this.manifest.animationCache,
+          reason: classifyLoadError(error).reason,
+          message: error.message,
+          fallback: 'Extracting animations from the GLB sources'
+        })
+        this.progress.remove(this.manifest.animationCache)
+      }
+    }
+
     try {
-      console.log('🎬 Initializing Three-Phase Animation Extractor...')
+      console.log('🎬 Initializing Timeline Animation Extractor...')
+
+      const [introSource] = getSourcesByRole(this.manifest, SOURCE_ROLES.INTRO)
+      const [cameraSource] = getSourcesByRole(this.manifest, SOURCE_ROLES.CAMERA)
+      const ringSources = getSourcesByRole(this.manifest, SOURCE_ROLES.RING)
+
+      // 先登记所有动画源，进度界面可以列出尚未开始下载的资源
+      this.manifest.sources.forEach(source => this.progress.begin(source.url, source.id))
       
       // 并行提取所有动画数据
-      const [v6OriginalData, cameraData, ring1Data, ring2Data, ring3Data] = await Promise.all([
-        this.extractV6OriginalAnimation(),
-        this.extractCameraAnimation(),
-        this.extractRingAnimation('ring1', '/Scenes_B_00100-transformed.glb', 'Scenes_B_00100'),
-        this.extractRingAnimation('ring2', '/Scenes_B_0023-transformed.glb', 'Scenes_B_0023'),
-        this.extractRingAnimation('ring3', '/Scenes_B_00100.001-transformed.glb', 'Scenes_B_00100001')
-      ])
+      let v6OriginalData, cameraData, ringData
+      try {
+        [v6OriginalData, cameraData, ...ringData] = await Promise.all([
+          introSource ? this.extractV6OriginalAnimation(introSource.url, introSource.id) : null,
+          cameraSource ? this.extractCameraAnimation(cameraSource.url, cameraSource.objectName, cameraSource.id) : null,
+          ...ringSources.map(source => this.extractRingAnimation(source.ring, source.url, source.objectName, source.id))
+        ])
+      } finally {
+        this.releaseAssets()
+      }
 
       this.animationData.v6Original = v6OriginalData
       this.animationData.camera = cameraData
-      this.animationData.rings.ring1 = ring1Data
-      this.animationData.rings.ring2 = ring2Data
-      this.animationData.rings.ring3 = ring3Data
+      ringSources.forEach((source, index) => {
+        this.animationData.rings[source.ring] = ringData[index]
+      })
 
-      // 计算三阶段时长
-      this.calculateThreePhaseDuration()
+      // 根据动画源时长解析时间线
+      this.buildTimeline()
       
       this.isInitialized = true
       this.logExtractionSummary()
+      this.dataListeners.forEach(listener => listener(this.animationData))
       
       return this.animationData
       
     } catch (error) {
-      console.error('❌ Failed to initialize Three-Phase Animation Extractor:', error)
+      console.error('❌ Failed to initialize Timeline Animation Extractor:', error)
+      this.diagnostics.report({
+        code: DIAGNOSTIC_CODES.INITIALIZE_FAILED,
+        reason: 'Initialization failed',
+        message: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 从烘焙的动画缓存文件初始化（不加载任何GLB）
+   */
+  async initializeFromCache(cacheUrl) {
+    console.log(`📦 Loading baked animation cache from ${cacheUrl}...`)
+    this.progress.begin(cacheUrl, 'animationCache')
+
+    try {
+      const response = await fetch(cacheUrl)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while loading ${cacheUrl}`)
+      }
+
+      const data = this.applyAnimationCache(await response.json())
+      this.progress.complete(cacheUrl)
+      return data
+    } catch (error) {
+      this.progress.fail(cacheUrl, error)
       throw error
     }
   }
 
   /**
-   * 加载GLB文件
+   * 应用已解析的缓存对象
    */
-  loadGLTF(url) {
+  applyAnimationCache(cache) {
+    const staleSources = findStaleCacheSources(cache, this.manifest)
+    if (staleSources.length > 0) {
+      this.diagnostics.report({
+        code: DIAGNOSTIC_CODES.CACHE_STALE,
+        severity: DIAGNOSTIC_SEVERITY.WARNING,
+        source: 'animationCache',
+        url: this.manifest.animationCache,
+        reason: 'Stale cache',
+        message: `Animation cache does not match the manifest for: ${staleSources.join(', ')} - re-run the bake step`,
+        details: { staleSources }
+      })
+    }
+
+    const cachedData = deserializeAnimationData(cache)
+    this.animationData = {
+      ...this.createEmptyAnimationData(),
+      v6Original: cachedData.v6Original,
+      camera: cachedData.camera
+    }
+    this.getRingIds().forEach(ringId => {
+      this.animationData.rings[ringId] = cachedData.rings[ringId] || null
+    })
+
+    this.buildTimeline()
+
+    this.isInitialized = true
+    this.logExtractionSummary()
+    this.dataListeners.forEach(listener => listener(this.animationData))
+
+    return this.animationData
+  }
+
+  /**
+   * 导出当前动画数据为缓存对象（供烘焙脚本写入文件）
+   */
+  exportAnimationCache() {
+    return serializeAnimationData(this.animationData, { manifest: this.manifest })
+  }
+
+  /**
+   * 从共享资源注册表获取GLB（同一URL只下载一次），引用在提取完成后由releaseAssets释放
+   */
+  async loadGLTF(url) {
+    const gltf = await this.assets.acquire(url)
+    this.heldAssets.push(url)
+    return gltf
+  }
+
+  /**
+   * 释放提取过程中持有的GLB引用，没有组件使用的资源随之被释放
+   */
+  releaseAssets() {
+    this.heldAssets.forEach(url => this.assets.release(url))
+    this.heldAssets = []
+  }
+
+  /**
+   * 下载并解析GLB文件（由资源注册表调用）
+   */
+  fetchGLTF(url, label) {
+    this.progress.begin(url, label)
+
     return new Promise((resolve, reject) => {
-      this.loader.load(url, resolve, undefined, reject)
+      this.loader.load(
+        url,
+        gltf => {
+          this.progress.complete(url)
+          resolve(gltf)
+        },
+        event => this.progress.update(url, event),
+        error => {
+          this.progress.fail(url, error)
+          reject(error)
+        }
+      )
     })
   }
 
   /**
    * 提取v6模型原始动画数据
    */
-  async extractV6OriginalAnimation() {
-    console.log('🎯 Extracting v6 original animation...')
+  async extractV6OriginalAnimation(modelPath, sourceId = 'v6Original') {
+    console.log(`🎯 Extracting v6 original animation from ${modelPath}...`)
     
     try {
-      const gltf = await this.loadGLTF('/LOST_cut2_v6-transformed.glb')
+      const gltf = await this.loadGLTF(modelPath)
       const { animations, scene } = gltf
       
       console.log(`📊 v6 model: ${animations.length} animations, scene children:`, scene.children.length)
 
       if (animations.length === 0) {
-        console.warn('⚠️ No v6 original animations found in LOST_cut2_v6-transformed.glb')
-        console.warn('   This will cause Phase 1 duration to be 0, leading to incorrect phase calculation')
-        return null
+        return this.reportMissingAnimation(sourceId, modelPath, animations, null, 'Intro segment uses its fallbackDuration')
       }
 
       const v6Animation = {
-        rings: {
-          ring1: { position: null, rotation: null, scale: null },
-          ring2: { position: null, rotation: null, scale: null },
-          ring3: { position: null, rotation: null, scale: null }
-        },
+        rings: {},
         duration: 0,
         metadata: {
+          modelPath,
           animationCount: animations.length,
           tracks: []
         }
       }
+      this.getRingIds().forEach(ringId => {
+        v6Animation.rings[ringId] = { position: null, rotation: null, scale: null }
+      })
 
       // 处理所有动画
       animations.forEach((animation, index) => {
@@ -123,42 +474,32 @@ export class MultiSourceAnimationExtractor {
           console.log(`  📍 v6 track: ${trackName}`)
           v6Animation.metadata.tracks.push(trackName)
 
-          // 映射v6对象到环
-          if (objectName.includes('網格003')) {
-            // Ring 1
-            if (propertyName === 'position') {
-              v6Animation.rings.ring1.position = this.processTrack(track, 'position')
-            } else if (propertyName === 'rotation' || propertyName === 'quaternion') {
-              v6Animation.rings.ring1.rotation = this.processTrack(track, propertyName)
-            } else if (propertyName === 'scale') {
-              v6Animation.rings.ring1.scale = this.processTrack(track, 'scale')
-            }
-          } else if (objectName.includes('網格002')) {
-            // Ring 2
-            if (propertyName === 'position') {
-              v6Animation.rings.ring2.position = this.processTrack(track, 'position')
-            } else if (propertyName === 'rotation' || propertyName === 'quaternion') {
-              v6Animation.rings.ring2.rotation = this.processTrack(track, propertyName)
-            } else if (propertyName === 'scale') {
-              v6Animation.rings.ring2.scale = this.processTrack(track, 'scale')
-            }
-          } else if (objectName.includes('網格001')) {
-            // Ring 3
-            if (propertyName === 'position') {
-              v6Animation.rings.ring3.position = this.processTrack(track, 'position')
-            } else if (propertyName === 'rotation' || propertyName === 'quaternion') {
-              v6Animation.rings.ring3.rotation = this.processTrack(track, propertyName)
-            } else if (propertyName === 'scale') {
-              v6Animation.rings.ring3.scale = this.processTrack(track, 'scale')
-            }
+          // 按清单中的网格组映射v6对象到环
+          const ringId = findRingIdByMeshObject(this.manifest, objectName)
+          if (!ringId) return
+
+          const ringTracks = v6Animation.rings[ringId]
+          if (propertyName === 'position') {
+            ringTracks.position = this.processTrack(track, 'position')
+          } else if (propertyName === 'rotation' || propertyName === 'quaternion') {
+            ringTracks.rotation = this.processTrack(track, propertyName)
+          } else if (propertyName === 'scale') {
+            ringTracks.scale = this.processTrack(track, 'scale')
           }
         })
       })
 
+      // 没有轨道的环在开场阶段保持清单中的初始变换
+      Object.entries(v6Animation.rings).forEach(([ringId, ringTracks]) => {
+        if (ringTracks.position || ringTracks.rotation || ringTracks.scale) return
+        const { meshGroup } = this.manifest.rings[ringId]
+        this.reportMissingAnimation(`${sourceId}/${ringId}`, modelPath, animations, meshGroup, `${ringId} keeps its manifest transform during the intro`)
+      })
+
       return v6Animation
 
     } catch (error) {
-      console.error('❌ Failed to extract v6 original animation:', error)
+      this.reportSourceFailure(sourceId, modelPath, error, 'Intro segment uses its fallbackDuration')
       return null
     }
   }
@@ -166,18 +507,17 @@ export class MultiSourceAnimationExtractor {
   /**
    * 提取相机动画数据
    */
-  async extractCameraAnimation() {
-    console.log('📹 Extracting camera animation from Camera.glb...')
+  async extractCameraAnimation(modelPath, objectName = 'Camera', sourceId = 'camera') {
+    console.log(`📹 Extracting camera animation from ${modelPath}...`)
     
     try {
-      const gltf = await this.loadGLTF('/Camera-transformed.glb')
+      const gltf = await this.loadGLTF(modelPath)
       const { animations, scene } = gltf
       
       console.log(`📊 Camera model: ${animations.length} animations, scene children:`, scene.children.length)
 
       if (animations.length === 0) {
-        console.warn('⚠️ No camera animations found')
-        return null
+        return this.reportMissingAnimation(sourceId, modelPath, animations, objectName, 'Camera holds its default pose')
       }
 
       const cameraAnimation = {
@@ -186,6 +526,8 @@ export class MultiSourceAnimationExtractor {
         fov: null,
         duration: 0,
         metadata: {
+          objectName,
+          modelPath,
           animationCount: animations.length,
           tracks: []
         }
@@ -200,13 +542,13 @@ export class MultiSourceAnimationExtractor {
         animation.tracks.forEach(track => {
           const trackName = track.name
           const parts = trackName.split('.')
-          const objectName = parts[0]
+          const trackObjectName = parts[0]
           const propertyName = parts[1]
 
           console.log(`  📍 Camera track: ${trackName}`)
           cameraAnimation.metadata.tracks.push(trackName)
 
-          if (objectName === 'Camera') {
+          if (trackObjectName === objectName) {
             switch (propertyName) {
               case 'position':
                 cameraAnimation.position = this.processTrack(track, 'position')
@@ -229,10 +571,14 @@ export class MultiSourceAnimationExtractor {
         })
       })
 
+      if (!cameraAnimation.position && !cameraAnimation.rotation && !cameraAnimation.fov) {
+        return this.reportMissingAnimation(sourceId, modelPath, animations, objectName, 'Camera holds its default pose')
+      }
+
       return cameraAnimation
 
     } catch (error) {
-      console.error('❌ Failed to extract camera animation:', error)
+      this.reportSourceFailure(sourceId, modelPath, error, 'Camera holds its default pose')
       return null
     }
   }
@@ -240,7 +586,7 @@ export class MultiSourceAnimationExtractor {
   /**
    * 提取环动画数据
    */
-  async extractRingAnimation(ringId, modelPath, objectName) {
+  async extractRingAnimation(ringId, modelPath, objectName, sourceId = ringId) {
     console.log(`🎯 Extracting ${ringId} animation from ${modelPath}...`)
     
     try {
@@ -250,8 +596,7 @@ export class MultiSourceAnimationExtractor {
       console.log(`📊 ${ringId} model: ${animations.length} animations, scene children:`, scene.children.length)
 
       if (animations.length === 0) {
-        console.warn(`⚠️ No animations found for ${ringId}`)
-        return null
+        return this.reportMissingAnimation(sourceId, modelPath, animations, objectName, `${ringId} keeps its manifest transform`)
       }
 
       const ringAnimation = {
@@ -305,176 +650,214 @@ export class MultiSourceAnimationExtractor {
         })
       })
 
+      if (ringAnimation.metadata.tracks.length === 0) {
+        return this.reportMissingAnimation(sourceId, modelPath, animations, objectName, `${ringId} keeps its manifest transform`)
+      }
+
       return ringAnimation
 
     } catch (error) {
-      console.error(`❌ Failed to extract ${ringId} animation:`, error)
+      this.reportSourceFailure(sourceId, modelPath, error, `${ringId} keeps its manifest transform`)
       return null
     }
   }
 
+  /**
+   * 读取轨道的glTF插值模式
+   * GLTFLoader用自定义插值器实现CUBICSPLINE，getInterpolation()无法识别，需要单独判断
+   */
+  getTrackInterpolation(track) {
+    if (track.createInterpolant?.isInterpolantFactoryMethodGLTFCubicSpline) {
+      return INTERPOLATION_MODES.CUBICSPLINE
+    }
+
+    const interpolation = track.getInterpolation ? track.getInterpolation() : undefined
+    return interpolation === THREE.InterpolateDiscrete
+      ? INTERPOLATION_MODES.STEP
+      : INTERPOLATION_MODES.LINEAR
+  }
+
   /**
    * 处理动画轨道数据
+   * CUBICSPLINE轨道每个关键帧存储 [入切线, 值, 出切线]，keyframes中只保留值
    */
   processTrack(track, propertyType) {
+    const interpolation = this.getTrackInterpolation(track)
+    const valueSize = COMPONENT_COUNTS[propertyType] || 3
+    const isCubic = interpolation === INTERPOLATION_MODES.CUBICSPLINE
+    const stride = isCubic ? valueSize * 3 : valueSize
+    const valueOffset = isCubic ? valueSize : 0
+
     const processedTrack = {
       times: Array.from(track.times),
       values: Array.from(track.values),
       keyframes: [],
-      interpolation: track.getInterpolation ? track.getInterpolation() : 'LINEAR',
+      interpolation,
+      valueSize,
       type: propertyType
     }
 
-    // 根据属性类型处理数据
-    switch (propertyType) {
-      case 'position':
-      case 'scale':
-        for (let i = 0; i < track.values.length; i += 3) {
-          processedTrack.keyframes.push({
-            x: track.values[i],
-            y: track.values[i + 1],
-            z: track.values[i + 2]
-          })
-        }
-        break
-
-      case 'rotation':
-        for (let i = 0; i < track.values.length; i += 3) {
-          processedTrack.keyframes.push({
-            x: track.values[i],
-            y: track.values[i + 1],
-            z: track.values[i + 2]
-          })
-        }
-        break
-
-      case 'quaternion':
-        processedTrack.type = 'quaternion'
-        for (let i = 0; i < track.values.length; i += 4) {
-          processedTrack.keyframes.push({
-            x: track.values[i],
-            y: track.values[i + 1],
-            z: track.values[i + 2],
-            w: track.values[i + 3]
-          })
-        }
-        break
-
-      case 'fov':
-        for (let i = 0; i < track.values.length; i++) {
-          processedTrack.keyframes.push({
-            value: track.values[i]
-          })
-        }
-        break
+    for (let i = 0; i < track.times.length; i++) {
+      processedTrack.keyframes.push(
+        this.readKeyframeValue(track.values, i * stride + valueOffset, valueSize)
+      )
     }
 
     return processedTrack
   }
 
   /**
-   * 计算三阶段动画时长
+   * 从扁平数组中读取一个关键帧值
    */
-  calculateThreePhaseDuration() {
-    // Phase 1: v6原始动画
-    if (this.animationData.v6Original && this.animationData.v6Original.duration > 0) {
-      this.phaseDurations.phase1 = this.animationData.v6Original.duration
-      console.log(`✅ Phase 1 duration from v6Original: ${this.phaseDurations.phase1}s`)
-    } else {
-      // 如果v6Original没有加载或时长为0，设置一个默认的Phase 1时长
-      this.phaseDurations.phase1 = 7.0
-      console.warn('⚠️ v6Original not loaded or duration is 0, using default Phase 1 duration: 7.0s')
-    }
-
-    // Phase 2: 相机过渡（固定2秒）
-    this.phaseDurations.phase2 = 2.0
+  readKeyframeValue(values, offset, componentCount) {
+    return readKeyframeValue(values, offset, componentCount)
+  }
 
-    // Phase 3: 多源动画系统
-    let phase3Duration = 0
-    if (this.animationData.camera) {
-      phase3Duration = Math.max(phase3Duration, this.animationData.camera.duration)
-    }
-    Object.values(this.animationData.rings).forEach(ringData => {
-      if (ringData) {
-        phase3Duration = Math.max(phase3Duration, ringData.duration)
+  /**
+   * 解析时间线片段时长
+   */
+  buildTimeline() {
+    const segments = this.timeline.resolve(segment => this.getSegmentClipDuration(segment))
+    this.totalDuration = this.timeline.getDuration()
+
+    this.buildShotTracks()
+    this.modifiers.resolve(this.totalDuration)
+
+    console.log(`⏱️ Timeline Duration:`)
+    segments.forEach(segment => {
+      if (segment.duration === segment.fallbackDuration && segment.clipDuration === 0) {
+        this.diagnostics.report({
+          code: DIAGNOSTIC_CODES.FALLBACK_DURATION,
+          severity: DIAGNOSTIC_SEVERITY.WARNING,
+          source: `timeline/${segment.id}`,
+          reason: 'No clip data',
+          message: `Segment "${segment.label}" has no clip data`,
+          fallback: `Using fallbackDuration ${segment.duration}s`
+        })
       }
+      console.log(`  Phase ${segment.phase} (${segment.label}): ${segment.duration.toFixed(2)}s`)
     })
-    this.phaseDurations.phase3 = phase3Duration
+    console.log(`  Total Duration: ${this.totalDuration.toFixed(2)}s`)
+  }
 
-    // 总时长
-    this.totalDuration = this.phaseDurations.phase1 + this.phaseDurations.phase2 + this.phaseDurations.phase3
+  /**
+   * 为使用机位的片段创建机位轨道
+   */
+  buildShotTracks() {
+    this.shotTracks = new Map()
+    this.timeline.getSegments().forEach(segment => {
+      const shotTrack = this.cameraShots.createTrack(segment, segment.duration)
+      if (shotTrack) this.shotTracks.set(segment.id, shotTrack)
+    })
+  }
 
-    console.log(`⏱️ Three-Phase Animation Duration:`)
-    console.log(`  Phase 1 (v6 Original): ${this.phaseDurations.phase1.toFixed(2)}s`)
-    console.log(`  Phase 2 (Camera Transition): ${this.phaseDurations.phase2.toFixed(2)}s`)
-    console.log(`  Phase 3 (Multi-Source): ${this.phaseDurations.phase3.toFixed(2)}s`)
-    console.log(`  Total Duration: ${this.totalDuration.toFixed(2)}s`)
+  /**
+   * 片段引用的动画源中最长的时长
+   */
+  getSegmentClipDuration(segment) {
+    let duration = 0
+
+    this.getRingIds().forEach(ringId => {
+      const clip = this.resolveRingClip(segment.rings, ringId)
+      if (clip) duration = Math.max(duration, clip.duration)
+    })
+
+    const cameraClip = this.resolveCameraClip(segment.camera)
+    if (cameraClip) duration = Math.max(duration, cameraClip.duration)
+
+    return duration
   }
 
   /**
-   * 获取当前时间对应的动画阶段
+   * 解析片段中环使用的动画源
+   * intro角色使用v6模型中该环的轨道，ring角色使用该环自己的Scenes B动画
    */
-  getCurrentPhase(time) {
-    
-    if (time <= this.phaseDurations.phase1) {
-      return {
-        phase: 1,
-        phaseTime: time,
-        progress: time / this.phaseDurations.phase1
-      }
-    } else if (time <= this.phaseDurations.phase1 + this.phaseDurations.phase2) {
-      const phaseStartTime = this.phaseDurations.phase1
-      const phaseTime = time - phaseStartTime
-      return {
-        phase: 2,
-        phaseTime: phaseTime,
-        progress: phaseTime / this.phaseDurations.phase2
+  resolveRingClip(ref, ringId) {
+    switch (resolveSourceRole(this.manifest, ref)) {
+      case SOURCE_ROLES.INTRO: {
+        const v6Original = this.animationData.v6Original
+        if (!v6Original) return null
+        return { tracks: v6Original.rings[ringId], duration: v6Original.duration }
       }
-    } else {
-      const phaseStartTime = this.phaseDurations.phase1 + this.phaseDurations.phase2
-      const phaseTime = time - phaseStartTime
-      return {
-        phase: 3,
-        phaseTime: phaseTime,
-        progress: phaseTime / this.phaseDurations.phase3
+
+      case SOURCE_ROLES.RING: {
+        const ringData = this.animationData.rings[ringId]
+        if (!ringData) return null
+        return { tracks: ringData, duration: ringData.duration }
       }
+
+      default:
+        return null
     }
   }
 
+  /**
+   * 解析片段中相机使用的动画源
+   */
+  resolveCameraClip(ref) {
+    if (resolveSourceRole(this.manifest, ref) !== SOURCE_ROLES.CAMERA) return null
+    return this.animationData.camera
+  }
+
+  /**
+   * 获取当前时间对应的动画阶段（时间线片段）
+   */
+  getCurrentPhase(time) {
+    return this.timeline.getSegmentAtTime(time)
+  }
+
   /**
    * 获取v6原始动画在指定时间的环变换
    */
-  getV6OriginalRingTransformAtTime(ringId, time) {
+  getV6OriginalRingTransformAtTime(ringId, time, target) {
     if (!this.animationData.v6Original) return null
 
-    const ringMap = {
-      'ring1': 'ring1',
-      'ring2': 'ring2', 
-      'ring3': 'ring3'
-    }
-
-    const ringData = this.animationData.v6Original.rings[ringMap[ringId]]
+    const ringData = this.animationData.v6Original.rings[ringId]
     if (!ringData) return null
 
-    const normalizedTime = time % this.animationData.v6Original.duration
+    const { duration } = this.animationData.v6Original
+    const normalizedTime = duration > 0 ? time % duration : 0
+    return this.sampleRingTracks(ringData, normalizedTime, target)
+  }
 
-    const result = {
+  /**
+   * 创建默认的环变换对象
+   */
+  createRingTransform() {
+    return {
       position: { x: 0, y: 0, z: 0 },
       rotation: { x: 0, y: 0, z: 0 },
       scale: { x: 1, y: 1, z: 1 }
     }
+  }
+
+  /**
+   * 在动画源时间上采样环的位置/旋转/缩放轨道
+   * 传入target时复用其中的对象；旋转类型（欧拉角/四元数）变化时才重新分配
+   */
+  sampleRingTracks(ringData, time, target = this.createRingTransform()) {
+    const result = target
 
     if (ringData.position) {
-      result.position = this.interpolateProperty(ringData.position, normalizedTime, 3)
+      this.interpolateProperty(ringData.position, time, 3, result.position)
+    } else {
+      setVector(result.position, 0, 0, 0)
     }
 
     if (ringData.rotation) {
-      const componentCount = ringData.rotation.type === 'quaternion' ? 4 : 3
-      result.rotation = this.interpolateProperty(ringData.rotation, normalizedTime, componentCount)
+      const isQuaternion = ringData.rotation.type === 'quaternion'
+      const rotationTarget = isQuaternion === (result.rotation.w !== undefined) ? result.rotation : undefined
+      result.rotation = this.interpolateProperty(ringData.rotation, time, isQuaternion ? 4 : 3, rotationTarget)
+    } else if (result.rotation.w !== undefined) {
+      result.rotation = { x: 0, y: 0, z: 0 }
+    } else {
+      setVector(result.rotation, 0, 0, 0)
     }
 
     if (ringData.scale) {
-      result.scale = this.interpolateProperty(ringData.scale, normalizedTime, 3)
+      this.interpolateProperty(ringData.scale, time, 3, result.scale)
+    } else {
+      setVector(result.scale, 1, 1, 1)
     }
 
     return result
@@ -503,264 +886,302 @@ export class MultiSourceAnimationExtractor {
   }
 
   /**
-   * 在指定时间获取相机变换（三阶段版本）
+   * 在指定时间获取相机变换（按时间线片段解析，并叠加修饰器）
    */
   getCameraTransformAtTime(time) {
-    const currentPhase = this.getCurrentPhase(time)
-    
-    // 定义静态相机位置（用于Phase 1）- 使用用户保存的理想视角
-    const staticCameraParams = {
-      position: { x: -18.43, y: 14.48, z: 16.30 },  // 用户定义的理想位置
-      rotation: this.calculateLookAtRotation(
-        { x: -18.43, y: 14.48, z: 16.30 },  // 相机位置
-        { x: -1.40, y: 15.30, z: -1.33 }    // 用户保存的原始目标位置
-      ),
-      fov: 35.0  // 用户保存的原始FOV
-    }
-
-    // 默认相机参数（Camera.glb的起始位置）
-    const defaultCameraParams = {
-      position: { x: 13.037, y: 2.624, z: 23.379 },
-      rotation: { x: 0.318, y: 0.562, z: -0.051 },
-      fov: 25.361
-    }
-
-    switch (currentPhase.phase) {
-      case 1:
-        // Phase 1: 静态相机
-        return staticCameraParams
-
-      case 2:
-        // Phase 2: 相机过渡（从用户自定义位置到Camera.glb起始位置）
-        const progress = currentPhase.progress
-        const easeInOutCubic = (t) => {
-          return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
-        }
-        const smoothProgress = easeInOutCubic(progress)
+    return this.modifiers.applyToCamera(this.getBaseCameraTransformAtTime(time), time)
+  }
 
-        // 计算从用户位置看向目标的旋转角度
-        const userTargetVector = new THREE.Vector3(-1.40, 15.30, -1.33)
-        const userPositionVector = new THREE.Vector3(-18.43, 14.48, 16.30)
-        const lookDirection = userTargetVector.clone().sub(userPositionVector).normalize()
-        
-        // 计算用户视角的欧拉角
-        const userEuler = new THREE.Euler()
-        userEuler.setFromQuaternion(new THREE.Quaternion().setFromUnitVectors(
-          new THREE.Vector3(0, 0, -1), 
-          lookDirection
-        ))
-
-        return {
-          position: {
-            x: staticCameraParams.position.x + (defaultCameraParams.position.x - staticCameraParams.position.x) * smoothProgress,
-            y: staticCameraParams.position.y + (defaultCameraParams.position.y - staticCameraParams.position.y) * smoothProgress,
-            z: staticCameraParams.position.z + (defaultCameraParams.position.z - staticCameraParams.position.z) * smoothProgress
-          },
-          rotation: {
-            x: userEuler.x + (defaultCameraParams.rotation.x - userEuler.x) * smoothProgress,
-            y: userEuler.y + (defaultCameraParams.rotation.y - userEuler.y) * smoothProgress,
-            z: userEuler.z + (defaultCameraParams.rotation.z - userEuler.z) * smoothProgress
-          },
-          fov: staticCameraParams.fov + (defaultCameraParams.fov - staticCameraParams.fov) * smoothProgress
-        }
+  /**
+   * 在指定时间获取未叠加修饰器的相机变换（机位或Camera.glb动画）
+   */
+  getBaseCameraTransformAtTime(time) {
+    const currentPhase = this.getCurrentPhase(time)
+    const segment = currentPhase?.segment
 
-      case 3:
-        // Phase 3: Camera.glb动画
-        if (!this.animationData.camera) return defaultCameraParams
+    // 机位片段（static / transition / shots）按清单中的机位表采样
+    const shotTrack = segment && this.shotTracks.get(segment.id)
+    if (shotTrack) {
+      return shotTrack.sample(currentPhase.phaseTime)
+    }
 
-        const normalizedTime = currentPhase.phaseTime % this.animationData.camera.duration
-        const result = { ...defaultCameraParams }
+    // 默认机位（Camera.glb的起始位置），没有相机动画时使用
+    const defaultCameraParams = this.cameraShots.getDefaultTransform()
 
-        if (this.animationData.camera.position) {
-          result.position = this.interpolateProperty(this.animationData.camera.position, normalizedTime, 3)
-        }
+    // Camera.glb动画
+    const cameraClip = segment && this.resolveCameraClip(segment.camera)
+    if (!cameraClip) return defaultCameraParams
 
-        if (this.animationData.camera.rotation) {
-          const componentCount = this.animationData.camera.rotation.type === 'quaternion' ? 4 : 3
-          result.rotation = this.interpolateProperty(this.animationData.camera.rotation, normalizedTime, componentCount)
-        }
+    const clipTime = AnimationTimeline.getClipTime(segment, currentPhase.phaseTime, cameraClip.duration)
+    const result = { ...defaultCameraParams }
 
-        if (this.animationData.camera.fov) {
-          result.fov = this.interpolateProperty(this.animationData.camera.fov, normalizedTime, 1).value || 25.361
-        }
+    if (cameraClip.position) {
+      result.position = this.interpolateProperty(cameraClip.position, clipTime, 3)
+    }
 
-        return result
+    if (cameraClip.rotation) {
+      const componentCount = cameraClip.rotation.type === 'quaternion' ? 4 : 3
+      result.rotation = this.interpolateProperty(cameraClip.rotation, clipTime, componentCount)
+    }
 
-      default:
-        return defaultCameraParams
+    if (cameraClip.fov) {
+      result.fov = this.interpolateProperty(cameraClip.fov, clipTime, 1).value || defaultCameraParams?.fov
     }
+
+    return result
   }
 
   /**
-   * 在指定时间获取环变换（三阶段版本）
+   * 第一个片段开始时的相机变换（动画数据加载完成之前也可用，用于设置初始视角）
    */
-  getRingTransformAtTime(ringId, time) {
-    const currentPhase = this.getCurrentPhase(time)
-
-    switch (currentPhase.phase) {
-      case 1:
-        // Phase 1: 使用v6原始动画
-        return this.getV6OriginalRingTransformAtTime(ringId, currentPhase.phaseTime)
-
-      case 2:
-        // Phase 2: 相机过渡期间，环保持v6动画的最后状态
-        const v6Duration = this.animationData.v6Original?.duration || 0
-        return this.getV6OriginalRingTransformAtTime(ringId, v6Duration)
-
-      case 3:
-        // Phase 3: 使用Scenes B动画数据
-        const ringData = this.animationData.rings[ringId]
-        if (!ringData) return null
+  getInitialCameraTransform() {
+    const [first] = this.timeline.definitions
+    const duration = typeof first.duration === 'number' ? first.duration : Infinity
+    const shotTrack = this.cameraShots.createTrack(first, duration)
+    return shotTrack ? shotTrack.sample(0) : this.cameraShots.getDefaultTransform()
+  }
 
-        const normalizedTime = currentPhase.phaseTime % ringData.duration
-        const result = {
-          position: { x: 0, y: 0, z: 0 },
-          rotation: { x: 0, y: 0, z: 0 },
-          scale: { x: 1, y: 1, z: 1 }
-        }
+  /**
+   * 在指定时间获取环变换（按时间线片段解析，并叠加修饰器）
+   * 传入target时结果写入target
+   */
+  getRingTransformAtTime(ringId, time, target) {
+    const currentPhase = this.getCurrentPhase(time)
+    if (!currentPhase) return null
+
+    const { segment, phaseTime } = currentPhase
+    const transform = this.sampleSegmentRing(segment, ringId, phaseTime, target)
+    if (!transform) return null
+
+    // 片段开头的交叉淡入：上一片段继续播放，与当前片段按权重混合
+    const { blendIn } = segment
+    if (blendIn && segment.index > 0 && phaseTime < blendIn.duration) {
+      const previous = this.timeline.getSegments()[segment.index - 1]
+      const from = this.sampleSegmentRing(previous, ringId, previous.duration + phaseTime, this.blendTargets[ringId])
+      if (from) {
+        this.blendTargets[ringId] = from
+        const weight = resolveEasing(blendIn.easing)(Math.max(phaseTime, 0) / blendIn.duration)
+        blendTransforms(from, transform, weight, transform)
+      }
+    }
 
-        if (ringData.position) {
-          result.position = this.interpolateProperty(ringData.position, normalizedTime, 3)
-        }
+    return this.modifiers.applyToRing(ringId, transform, time)
+  }
 
-        if (ringData.rotation) {
-          const componentCount = ringData.rotation.type === 'quaternion' ? 4 : 3
-          result.rotation = this.interpolateProperty(ringData.rotation, normalizedTime, componentCount)
-        }
+  /**
+   * 在片段内的时间采样环的动画源（不含交叉淡入和修饰器），片段没有该环的动画时返回null
+   */
+  sampleSegmentRing(segment, ringId, phaseTime, target) {
+    const clip = this.resolveRingClip(segment.rings, ringId)
+    if (!clip || !clip.tracks) return null
 
-        if (ringData.scale) {
-          result.scale = this.interpolateProperty(ringData.scale, normalizedTime, 3)
-        }
+    const clipTime = AnimationTimeline.getClipTime(segment, phaseTime, clip.duration)
+    return this.sampleRingTracks(clip.tracks, clipTime, target)
+  }
 
-        return result
+  /**
+   * 属性插值计算（支持STEP、LINEAR、CUBICSPLINE）
+   * 传入target时结果写入target，避免每帧分配新对象
+   */
+  interpolateProperty(track, time, componentCount, target) {
+    return this.getTrackSampler(track, componentCount).sample(time, target)
+  }
 
-      default:
-        return {
-          position: { x: 0, y: 0, z: 0 },
-          rotation: { x: 0, y: 0, z: 0 },
-          scale: { x: 1, y: 1, z: 1 }
-        }
+  /**
+   * 获取轨道的采样器（每条轨道一个，保留关键帧游标缓存）
+   */
+  getTrackSampler(track, componentCount) {
+    let sampler = this.trackSamplers.get(track)
+    if (!sampler) {
+      sampler = new TrackSampler(track, componentCount)
+      this.trackSamplers.set(track, sampler)
     }
+    return sampler
   }
 
   /**
-   * 属性插值计算
+   * 获取所有变换数据
+   * 每帧调用时可传入上一帧的结果作为target，环变换会原地更新
    */
-  interpolateProperty(track, time, componentCount) {
-    const { times, values } = track
+  getAllTransformsAtTime(time, target = { rings: {} }) {
+    const result = target
+    result.phase = this.getCurrentPhase(time)
+    result.camera = this.getCameraTransformAtTime(time)
+    this.getRingIds().forEach(ringId => {
+      result.rings[ringId] = this.getRingTransformAtTime(ringId, time, result.rings[ringId] || undefined)
+    })
     
-    if (times.length === 0) {
-      if (componentCount === 4) return { x: 0, y: 0, z: 0, w: 1 }
-      if (componentCount === 1) return { value: 0 }
-      return { x: 0, y: 0, z: 0 }
-    }
-
-    // 查找时间区间
-    let index = 0
-    for (let i = 0; i < times.length - 1; i++) {
-      if (time >= times[i] && time <= times[i + 1]) {
-        index = i
-        break
-      }
+    return result
+  }
+
+  /**
+   * 获取阶段持续时间信息（phase1 … phaseN）
+   */
+  getPhaseDurations() {
+    const phaseDurations = {}
+    this.timeline.getSegments().forEach(segment => {
+      phaseDurations[`phase${segment.phase}`] = segment.duration
+    })
+    return phaseDurations
+  }
+
+  /**
+   * 列出所有已提取的轨道（按动画源分组，用于轨道检查器）
+   * 动画源ID: v6Original/<环ID>、camera、<环ID>；返回 [{ id, label, tracks: [{ id, property, track }] }]
+   */
+  getTrackInventory() {
+    const sources = []
+    const addSource = (id, label, data) => {
+      if (!data) return
+      const tracks = Object.entries(data)
+        .filter(([, track]) => Array.isArray(track?.times))
+        .map(([property, track]) => ({ id: `${id}/${property}`, property, track }))
+      if (tracks.length > 0) sources.push({ id, label, tracks })
     }
 
-    // 边界处理
-    if (time <= times[0]) index = 0
-    if (time >= times[times.length - 1]) index = times.length - 1
+    const { v6Original, camera, rings } = this.animationData
+    this.getRingIds().forEach(ringId => {
+      addSource(`v6Original/${ringId}`, `v6 Original · ${ringId}`, v6Original?.rings[ringId])
+    })
+    addSource('camera', `Camera · ${camera?.metadata.objectName || ''}`, camera)
+    this.getRingIds().forEach(ringId => {
+      addSource(ringId, `${ringId} · ${rings[ringId]?.metadata.objectName || ''}`, rings[ringId])
+    })
 
-    // 如果在最后一个关键帧
-    if (index === times.length - 1 || times.length === 1) {
-      const startIndex = index * componentCount
-      if (componentCount === 4) {
-        return {
-          x: values[startIndex],
-          y: values[startIndex + 1],
-          z: values[startIndex + 2],
-          w: values[startIndex + 3]
-        }
-      } else if (componentCount === 1) {
-        return { value: values[startIndex] }
-      } else {
-        return {
-          x: values[startIndex],
-          y: values[startIndex + 1],
-          z: values[startIndex + 2]
-        }
-      }
+    return sources
+  }
+
+  /**
+   * 时间线时间对应的动画源clip时间；当前片段没有使用该动画源时返回null
+   */
+  getSourceClipTime(sourceId, time) {
+    const currentPhase = this.getCurrentPhase(time)
+    if (!currentPhase) return null
+    const { segment, phaseTime } = currentPhase
+
+    let clip
+    if (sourceId === 'camera') {
+      clip = this.resolveCameraClip(segment.camera)
+    } else {
+      const isIntro = sourceId.startsWith('v6Original/')
+      const ringId = isIntro ? sourceId.slice('v6Original/'.length) : sourceId
+      const role = resolveSourceRole(this.manifest, segment.rings)
+      if (role !== (isIntro ? SOURCE_ROLES.INTRO : SOURCE_ROLES.RING)) return null
+      clip = this.resolveRingClip(segment.rings, ringId)
     }
 
-    // 线性插值
-    const t1 = times[index]
-    const t2 = times[index + 1]
-    const factor = (time - t1) / (t2 - t1)
+    return clip ? AnimationTimeline.getClipTime(segment, phaseTime, clip.duration) : null
+  }
 
-    const startIndex = index * componentCount
-    const endIndex = (index + 1) * componentCount
+  /**
+   * 轨道检查器中动画源的归属信息（用于关键帧编辑和导出GLB）
+   * 返回 { data, owner, modelPath, ownsObject }：data为该源的轨道，owner为持有clip时长的动画数据，
+   * ownsObject判断GLB中的对象名是否属于该源
+   */
+  getTrackSource(sourceId) {
+    const { v6Original, camera, rings } = this.animationData
 
-    if (componentCount === 4) {
-      // 四元数插值
-      const q1 = new THREE.Quaternion(
-        values[startIndex], values[startIndex + 1], 
-        values[startIndex + 2], values[startIndex + 3]
-      )
-      const q2 = new THREE.Quaternion(
-        values[endIndex], values[endIndex + 1],
-        values[endIndex + 2], values[endIndex + 3]
-      )
-      
-      const result = new THREE.Quaternion().slerpQuaternions(q1, q2, factor)
-      return { x: result.x, y: result.y, z: result.z, w: result.w }
-    } else if (componentCount === 1) {
+    if (sourceId === 'camera') {
+      if (!camera) return null
       return {
-        value: values[startIndex] + (values[endIndex] - values[startIndex]) * factor
+        data: camera,
+        owner: camera,
+        modelPath: camera.metadata.modelPath,
+        ownsObject: objectName => objectName === camera.metadata.objectName
       }
-    } else {
+    }
+
+    if (sourceId.startsWith('v6Original/')) {
+      const ringId = sourceId.slice('v6Original/'.length)
+      if (!v6Original?.rings[ringId]) return null
       return {
-        x: values[startIndex] + (values[endIndex] - values[startIndex]) * factor,
-        y: values[startIndex + 1] + (values[endIndex + 1] - values[startIndex + 1]) * factor,
-        z: values[startIndex + 2] + (values[endIndex + 2] - values[startIndex + 2]) * factor
+        data: v6Original.rings[ringId],
+        owner: v6Original,
+        modelPath: v6Original.metadata.modelPath,
+        ownsObject: objectName => findRingIdByMeshObject(this.manifest, objectName) === ringId
       }
     }
+
+    const ringData = rings[sourceId]
+    if (!ringData) return null
+    return {
+      data: ringData,
+      owner: ringData,
+      modelPath: ringData.metadata.modelPath,
+      ownsObject: objectName => objectName === ringData.metadata.objectName
+    }
   }
 
   /**
-   * 获取所有变换数据（三阶段版本）
+   * 轨道的关键帧被修改后调用：丢弃缓存的采样器，并按最后一个关键帧更新clip时长
+   * clip时长变化时重新解析时间线，返回时间线是否变化
    */
-  getAllTransformsAtTime(time) {
-    const currentPhase = this.getCurrentPhase(time)
-    
+  invalidateTrack(sourceId, track) {
+    this.trackSamplers.delete(track)
+
+    const source = this.getTrackSource(sourceId)
+    if (!source) return false
+
+    const ownerTracks = source.owner.rings
+      ? Object.values(source.owner.rings).flatMap(ringTracks => Object.values(ringTracks || {}))
+      : Object.values(source.owner)
+    const duration = ownerTracks
+      .filter(ownerTrack => Array.isArray(ownerTrack?.times) && ownerTrack.times.length > 0)
+      .reduce((max, ownerTrack) => Math.max(max, ownerTrack.times[ownerTrack.times.length - 1]), 0)
+
+    if (duration === source.owner.duration) return false
+
+    source.owner.duration = duration
+    this.buildTimeline()
+    return true
+  }
+
+  /**
+   * 获取Camera.glb位置轨道的路径（用于调试显示）
+   * keyframes为关键帧 { time, position }，samples为按轨道插值方式每秒采样sampleRate次的位置
+   */
+  getCameraPath(sampleRate = 30) {
+    const track = this.animationData.camera?.position
+    if (!track || track.times.length === 0) return null
+
+    const start = track.times[0]
+    const end = track.times[track.times.length - 1]
+    const count = Math.max(2, Math.ceil((end - start) * sampleRate) + 1)
+    const samples = []
+    for (let i = 0; i < count; i++) {
+      samples.push(this.interpolateProperty(track, start + ((end - start) * i) / (count - 1), 3))
+    }
+
     return {
-      phase: currentPhase,
-      camera: this.getCameraTransformAtTime(time),
-      rings: {
-        ring1: this.getRingTransformAtTime('ring1', time),
-        ring2: this.getRingTransformAtTime('ring2', time),
-        ring3: this.getRingTransformAtTime('ring3', time)
-      }
+      keyframes: track.keyframes.map((position, index) => ({ time: track.times[index], position })),
+      samples
     }
   }
 
   /**
-   * 获取阶段持续时间信息
+   * 获取时间线片段（含标签和起止时间）
    */
-  getPhaseDurations() {
-    return { ...this.phaseDurations }
+  getTimelineSegments() {
+    return this.timeline.getSegments().map(({ id, label, phase, start, duration, end, behavior }) => ({
+      id, label, phase, start, duration, end, behavior
+    }))
   }
 
   /**
-   * 输出提取摘要（三阶段版本）
+   * 输出提取摘要
    */
   logExtractionSummary() {
-    console.group('📊 Three-Phase Animation Extraction Summary')
+    console.group('📊 Timeline Animation Extraction Summary')
     
     // v6原始动画摘要
     if (this.animationData.v6Original) {
       console.log('🎯 v6 Original Animation:')
       console.log(`  ⏱️ Duration: ${this.animationData.v6Original.duration.toFixed(2)}s`)
       console.log(`  📋 Tracks: ${this.animationData.v6Original.metadata.tracks.length}`)
-      console.log(`  🎨 Ring 1: ${this.animationData.v6Original.rings.ring1.position ? '✅' : '❌'}`)
-      console.log(`  🎨 Ring 2: ${this.animationData.v6Original.rings.ring2.position ? '✅' : '❌'}`)
-      console.log(`  🎨 Ring 3: ${this.animationData.v6Original.rings.ring3.position ? '✅' : '❌'}`)
+      Object.entries(this.animationData.v6Original.rings).forEach(([ringId, ringTracks]) => {
+        const meshGroup = this.manifest.rings[ringId].meshGroup
+        console.log(`  🎨 ${ringId} (${meshGroup}): ${ringTracks.position ? '✅' : '❌'}`)
+      })
     } else {
       console.log('🎯 v6 Original Animation: ❌ Not available')
     }
@@ -793,9 +1214,9 @@ export class MultiSourceAnimationExtractor {
     })
 
     console.log(`\n🕐 Phase Durations:`)
-    console.log(`  Phase 1 (v6 Original): ${this.phaseDurations.phase1.toFixed(2)}s`)
-    console.log(`  Phase 2 (Camera Transition): ${this.phaseDurations.phase2.toFixed(2)}s`)
-    console.log(`  Phase 3 (Multi-Source): ${this.phaseDurations.phase3.toFixed(2)}s`)
+    this.timeline.getSegments().forEach(segment => {
+      console.log(`  Phase ${segment.phase} (${segment.label}): ${segment.duration.toFixed(2)}s`)
+    })
     console.log(`🕐 Total Duration: ${this.totalDuration.toFixed(2)}s`)
     console.log(`🎬 System Status: ${this.isInitialized ? '✅ Ready' : '❌ Not Ready'}`)
     
@@ -817,6 +1238,23 @@ export class MultiSourceAnimationExtractor {
   }
 }
 
+function setVector(target, x, y, z) {
+  target.x = x
+  target.y = y
+  target.z = z
+}
+
+/**
+ * 收集动画轨道指向的对象名（去重，保持出现顺序）
+ */
+function collectTrackObjects(animations) {
+  const objects = new Set()
+  animations.forEach(animation => {
+    animation.tracks.forEach(track => objects.add(track.name.split('.')[0]))
+  })
+  return Array.from(objects)
+}
+
 /**
  * 全局多源动画提取器实例
  */
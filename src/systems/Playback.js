@@ -0,0 +1,85 @@
+/**
+ * 循环模式
+ * loop: 到达区间终点后回到起点（倒放时反之）
+ * once: 播放到终点后停住
+ * pingPong: 到达终点后反向播放
+ */
+export const LOOP_MODES = {
+  LOOP: 'loop',
+  ONCE: 'once',
+  PING_PONG: 'pingPong'
+}
+
+/**
+ * 默认播放设置
+ */
+export const DEFAULT_PLAYBACK_SETTINGS = {
+  rate: 1,                // 播放速率，负数为倒放
+  loopMode: LOOP_MODES.LOOP,
+  loopRange: null         // { start, end } A/B循环区间，null表示整条时间线
+}
+
+/**
+ * 获取播放区间（A/B区间限制在时间线范围内）
+ */
+export function getPlaybackRange(settings, totalDuration) {
+  const range = settings.loopRange
+  if (!range) return { start: 0, end: totalDuration }
+
+  const start = Math.min(Math.max(range.start, 0), totalDuration)
+  const end = Math.min(Math.max(range.end, start), totalDuration)
+  return { start, end }
+}
+
+/**
+ * 推进播放时间
+ * direction为乒乓模式当前的方向（1或-1），返回新的时间、方向以及是否已在once模式下播放结束
+ */
+export function advancePlayback(time, deltaTime, direction, settings, totalDuration) {
+  const { start, end } = getPlaybackRange(settings, totalDuration)
+  const length = end - start
+  if (!(length > 0)) return { time: start, direction, ended: settings.loopMode === LOOP_MODES.ONCE }
+
+  const velocity = settings.rate * direction
+  const next = time + deltaTime * velocity
+
+  switch (settings.loopMode) {
+    case LOOP_MODES.ONCE: {
+      if (velocity >= 0 && next >= end) return { time: end, direction, ended: true }
+      if (velocity < 0 && next <= start) return { time: start, direction, ended: true }
+      return { time: Math.max(start, Math.min(end, next)), direction, ended: false }
+    }
+
+    case LOOP_MODES.PING_PONG: {
+      // 把时间折叠到 [start, end]，每次越界翻转方向
+      const offset = next - start
+      const cycles = Math.floor(offset / length)
+      const local = offset - cycles * length
+      const flipped = Math.abs(cycles) % 2 === 1
+      return {
+        time: flipped ? end - local : start + local,
+        direction: flipped ? -direction : direction,
+        ended: false
+      }
+    }
+
+    case LOOP_MODES.LOOP:
+    default: {
+      if (next >= start && next < end) return { time: next, direction, ended: false }
+      const local = (((next - start) % length) + length) % length
+      return { time: start + local, direction, ended: false }
+    }
+  }
+}
+
+/**
+ * 在once模式下已停在终点时，重新播放应从区间另一端开始
+ */
+export function getRestartTime(time, settings, totalDuration) {
+  if (settings.loopMode !== LOOP_MODES.ONCE) return time
+
+  const { start, end } = getPlaybackRange(settings, totalDuration)
+  if (settings.rate >= 0 && time >= end) return start
+  if (settings.rate < 0 && time <= start) return end
+  return time
+}
@@ -0,0 +1,92 @@
+/**
+ * 播放状态
+ * loading: 动画数据加载中
+ * idle: 空闲展示（attract loop），第一个片段在原地循环
+ * playing: 按播放设置推进时间线
+ * paused: 停在当前时间（包括暂停后跳转到的时间）
+ * ended: once模式播放到区间终点后停住
+ * error: 初始化失败
+ */
+export const PLAYBACK_STATES = {
+  LOADING: 'loading',
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  ERROR: 'error'
+}
+
+/**
+ * 播放事件
+ */
+export const PLAYBACK_EVENTS = {
+  LOADED: 'loaded',
+  FAILED: 'failed',
+  PLAY: 'play',
+  PAUSE: 'pause',
+  STOP: 'stop',
+  SEEK: 'seek',
+  END: 'end'
+}
+
+const { LOADING, IDLE, PLAYING, PAUSED, ENDED, ERROR } = PLAYBACK_STATES
+const { LOADED, FAILED, PLAY, PAUSE, STOP, SEEK, END } = PLAYBACK_EVENTS
+
+/**
+ * 状态转换表：状态 -> { 事件: 下一个状态 }，表中没有的事件在该状态下被忽略
+ */
+export const PLAYBACK_TRANSITIONS = {
+  [LOADING]: { [LOADED]: IDLE, [FAILED]: ERROR },
+  [IDLE]: { [PLAY]: PLAYING, [SEEK]: PAUSED, [FAILED]: ERROR },
+  [PLAYING]: { [PAUSE]: PAUSED, [STOP]: IDLE, [SEEK]: PLAYING, [END]: ENDED, [FAILED]: ERROR },
+  [PAUSED]: { [PLAY]: PLAYING, [STOP]: IDLE, [SEEK]: PAUSED, [FAILED]: ERROR },
+  [ENDED]: { [PLAY]: PLAYING, [STOP]: IDLE, [SEEK]: PAUSED, [FAILED]: ERROR },
+  [ERROR]: {}
+}
+
+/**
+ * 播放状态机
+ * 场景的播放状态只通过send(event)改变，订阅者在每次状态变化时收到 { state, previous, event }
+ */
+export class PlaybackStateMachine {
+  constructor(initialState = LOADING) {
+    this.state = initialState
+    this.listeners = new Set()
+  }
+
+  /**
+   * 当前状态下事件是否会引起状态转换
+   */
+  can(event) {
+    return event in PLAYBACK_TRANSITIONS[this.state]
+  }
+
+  /**
+   * 发送事件，返回是否发生了转换（同状态转换如playing下的seek也算）
+   */
+  send(event) {
+    if (!this.can(event)) return false
+
+    const previous = this.state
+    this.state = PLAYBACK_TRANSITIONS[previous][event]
+    this.emit({ state: this.state, previous, event })
+    return true
+  }
+
+  is(state) {
+    return this.state === state
+  }
+
+  /**
+   * 订阅状态变化，订阅时立即收到当前状态；返回取消订阅函数
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener({ state: this.state, previous: null, event: null })
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(change) {
+    this.listeners.forEach(listener => listener(change))
+  }
+}
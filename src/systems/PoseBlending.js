@@ -0,0 +1,52 @@
+import * as THREE from 'three'
+
+const _from = new THREE.Quaternion()
+const _to = new THREE.Quaternion()
+const _euler = new THREE.Euler()
+
+/**
+ * 在两个变换之间混合（位置线性插值、旋转球面插值、缩放线性插值），结果写入target
+ * 旋转可以是欧拉角或四元数，两者类型不同时按四元数混合，再写回target的类型
+ */
+export function blendTransforms(from, to, weight, target = to) {
+  if (from.position && to.position && target.position) {
+    lerpVector(from.position, to.position, weight, target.position)
+  }
+  if (from.scale && to.scale && target.scale) {
+    lerpVector(from.scale, to.scale, weight, target.scale)
+  }
+  if (from.rotation && to.rotation && target.rotation) {
+    toQuaternion(from.rotation, _from)
+    toQuaternion(to.rotation, _to)
+    _from.slerp(_to, weight)
+    writeRotation(_from, target.rotation)
+  }
+  return target
+}
+
+function lerpVector(a, b, t, target) {
+  target.x = a.x + (b.x - a.x) * t
+  target.y = a.y + (b.y - a.y) * t
+  target.z = a.z + (b.z - a.z) * t
+}
+
+function toQuaternion(rotation, target) {
+  if (rotation.w !== undefined) {
+    return target.set(rotation.x, rotation.y, rotation.z, rotation.w)
+  }
+  return target.setFromEuler(_euler.set(rotation.x, rotation.y, rotation.z))
+}
+
+function writeRotation(quaternion, rotation) {
+  if (rotation.w !== undefined) {
+    rotation.x = quaternion.x
+    rotation.y = quaternion.y
+    rotation.z = quaternion.z
+    rotation.w = quaternion.w
+  } else {
+    _euler.setFromQuaternion(quaternion)
+    rotation.x = _euler.x
+    rotation.y = _euler.y
+    rotation.z = _euler.z
+  }
+}
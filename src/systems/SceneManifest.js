@@ -0,0 +1,127 @@
+import defaultManifest from '../config/sceneManifest.json' with { type: 'json' }
+import { getSegmentShotCues, validateCameraShot } from './CameraShots.js'
+
+/**
+ * 场景清单
+ * 描述所有动画源（URL、角色、目标对象）以及每个环使用的v6网格组，
+ * 提取器和AnimatedRings都从这里读取配置，替换资源时只需修改JSON
+ */
+export const sceneManifest = defaultManifest
+
+/**
+ * 动画源角色
+ */
+export const SOURCE_ROLES = {
+  INTRO: 'intro',
+  CAMERA: 'camera',
+  RING: 'ring'
+}
+
+/**
+ * 校验清单结构，缺少必填字段时抛出错误
+ */
+export function validateSceneManifest(manifest) {
+  if (!manifest || !Array.isArray(manifest.sources)) {
+    throw new Error('Scene manifest must declare a "sources" array')
+  }
+  if (!manifest.rings || typeof manifest.rings !== 'object') {
+    throw new Error('Scene manifest must declare a "rings" map')
+  }
+  if (!Array.isArray(manifest.timeline)) {
+    throw new Error('Scene manifest must declare a "timeline" array')
+  }
+
+  const roles = Object.values(SOURCE_ROLES)
+  manifest.sources.forEach((source, index) => {
+    if (!source.id || !source.url) {
+      throw new Error(`Scene manifest source #${index} needs "id" and "url"`)
+    }
+    if (!roles.includes(source.role)) {
+      throw new Error(`Scene manifest source "${source.id}" has unknown role "${source.role}"`)
+    }
+    if (source.role === SOURCE_ROLES.RING && !manifest.rings[source.ring]) {
+      throw new Error(`Scene manifest source "${source.id}" drives unknown ring "${source.ring}"`)
+    }
+  })
+
+  Object.entries(manifest.rings).forEach(([ringId, ring]) => {
+    if (!ring.meshGroup) {
+      throw new Error(`Scene manifest ring "${ringId}" needs a "meshGroup"`)
+    }
+  })
+
+  const shots = manifest.cameraShots?.shots || {}
+  Object.entries(shots).forEach(([shotId, shot]) => {
+    validateCameraShot(shot, `Scene manifest camera shot "${shotId}"`)
+  })
+  manifest.timeline.forEach(segment => {
+    const cues = getSegmentShotCues(segment)
+    if (!cues) return
+    cues.forEach(cue => {
+      const shotId = cue.shot ?? manifest.cameraShots?.default
+      if (!shots[shotId]) {
+        throw new Error(`Timeline segment "${segment.id}" uses unknown camera shot "${shotId}"`)
+      }
+    })
+  })
+
+  return manifest
+}
+
+/**
+ * 获取清单中声明的环ID（保持声明顺序）
+ */
+export function getRingIds(manifest) {
+  return Object.keys(manifest.rings)
+}
+
+/**
+ * 按角色筛选动画源
+ */
+export function getSourcesByRole(manifest, role) {
+  return manifest.sources.filter(source => source.role === role)
+}
+
+/**
+ * 把片段引用的动画源（源ID或角色名）解析为角色
+ */
+export function resolveSourceRole(manifest, ref) {
+  const source = manifest.sources.find(item => item.id === ref)
+  return source ? source.role : ref
+}
+
+/**
+ * 根据v6对象名查找其所属的环（对象名包含网格组名即视为匹配）
+ */
+export function findRingIdByMeshObject(manifest, objectName) {
+  const entry = Object.entries(manifest.rings)
+    .find(([, ring]) => objectName.includes(ring.meshGroup))
+  return entry ? entry[0] : null
+}
+
+/**
+ * 收集网格组的所有节点，例如 網格003、網格003_1 … 網格003_9
+ */
+export function getMeshGroupNodes(nodes, meshGroup) {
+  if (!nodes) return []
+  return Object.keys(nodes)
+    .filter(name => isMeshGroupNode(name, meshGroup))
+    .sort((a, b) => meshPartIndex(a) - meshPartIndex(b))
+    .map(name => ({ name, node: nodes[name] }))
+}
+
+/**
+ * 节点名是否属于网格组（網格003 或 網格003_1 …）
+ */
+export function isMeshGroupNode(name, meshGroup) {
+  return new RegExp(`^${escapeRegExp(meshGroup)}(_\\d+)?$`).test(name)
+}
+
+function meshPartIndex(name) {
+  const match = name.match(/_(\d+)$/)
+  return match ? Number(match[1]) : 0
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
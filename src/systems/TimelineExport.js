@@ -0,0 +1,331 @@
+import * as THREE from 'three'
+import { encodeGLB } from './GLBFormat.js'
+import { getMeshGroupNodes } from './SceneManifest.js'
+
+/**
+ * 默认烘焙帧率
+ */
+export const DEFAULT_BAKE_FPS = 30
+
+/**
+ * 烘焙文件中相机节点的名称
+ */
+export const BAKED_CAMERA_NAME = 'Camera'
+
+const CAMERA_NEAR = 0.1
+const CAMERA_FAR = 10000
+const FOV_POINTER = '/cameras/0/perspective/yfov'
+const ACCESSOR_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }
+const COMPONENT_FLOAT = 5126
+const COMPONENT_UNSIGNED_INT = 5125
+const TARGET_ARRAY_BUFFER = 34962
+const TARGET_ELEMENT_ARRAY_BUFFER = 34963
+// 导出的顶点属性：glTF属性名 -> three属性名
+const VERTEX_ATTRIBUTES = { POSITION: 'position', NORMAL: 'normal', TEXCOORD_0: 'uv' }
+const COMPONENT_GETTERS = ['getX', 'getY', 'getZ'] // 交错属性没有getComponent，getX等同样会反量化
+
+/**
+ * 按帧率采样完整的时间线（包括交叉淡入和结尾修饰器，即 getAllTransformsAtTime 的结果）
+ * 变换按AnimatedCamera / AnimatedRings相同的方式应用到虚拟相机和环节点上，缺少的通道保持上一帧（环为清单中的初始变换）
+ * 返回 { fps, duration, times, camera: { position, quaternion, fov }, rings: { 环ID: { name, meshGroup, position, quaternion, scale } }, segments }
+ * 其中各通道为扁平数组，四元数已处理符号连续性，可以直接线性插值
+ */
+export function bakeTimeline(extractor, { fps = DEFAULT_BAKE_FPS } = {}) {
+  if (!(fps > 0)) {
+    throw new Error(`Invalid bake fps ${fps}`)
+  }
+
+  const duration = extractor.getDuration()
+  const frameCount = Math.floor(duration * fps + 1e-6) + 1
+  const times = Array.from({ length: frameCount }, (_, frame) => frame / fps)
+  if (duration - times[times.length - 1] > 1e-6) times.push(duration)
+
+  const initialTransform = extractor.getInitialCameraTransform()
+  const camera = new THREE.PerspectiveCamera(initialTransform?.fov ?? 50)
+  if (initialTransform) applyCameraTransform(camera, initialTransform)
+
+  const ringNodes = {}
+  Object.entries(extractor.manifest.rings).forEach(([ringId, ring]) => {
+    const node = new THREE.Object3D()
+    if (ring.position) node.position.fromArray(ring.position)
+    if (ring.rotation) node.rotation.fromArray(ring.rotation)
+    if (ring.scale) node.scale.fromArray(ring.scale)
+    ringNodes[ringId] = node
+  })
+
+  const baked = {
+    fps,
+    duration,
+    times,
+    camera: { position: [], quaternion: [], fov: [] },
+    rings: {},
+    segments: extractor.getTimelineSegments().map(({ id, label, phase, start, end }) => ({ id, label, phase, start, end }))
+  }
+  Object.entries(extractor.manifest.rings).forEach(([ringId, ring]) => {
+    baked.rings[ringId] = { name: ring.name || ringId, meshGroup: ring.meshGroup, position: [], quaternion: [], scale: [] }
+  })
+
+  // 最后一帧取在duration上：时间线在终点保持各片段的最后一帧（见AnimationTimeline.getClipTime）
+  const transforms = { rings: {} }
+  times.forEach(time => {
+    extractor.getAllTransformsAtTime(time, transforms)
+
+    if (transforms.camera) applyCameraTransform(camera, transforms.camera)
+    baked.camera.position.push(...camera.position.toArray())
+    pushQuaternion(baked.camera.quaternion, camera.quaternion)
+    baked.camera.fov.push(camera.fov)
+
+    Object.entries(ringNodes).forEach(([ringId, node]) => {
+      const transform = transforms.rings[ringId]
+      if (transform) applyRingTransform(node, transform)
+
+      const channels = baked.rings[ringId]
+      channels.position.push(...node.position.toArray())
+      pushQuaternion(channels.quaternion, node.quaternion)
+      channels.scale.push(...node.scale.toArray())
+    })
+  })
+
+  console.log(`🎞️ Baked ${times.length} frames at ${fps}fps (${duration.toFixed(2)}s)`)
+  return baked
+}
+
+/**
+ * 相机变换的应用方式与AnimatedCamera相同：旋转可以是四元数或欧拉角
+ */
+function applyCameraTransform(camera, { position, rotation, fov }) {
+  if (position) camera.position.set(position.x, position.y, position.z)
+  if (rotation) {
+    if (rotation.w !== undefined) camera.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
+    else camera.rotation.set(rotation.x, rotation.y, rotation.z)
+  }
+  if (fov !== undefined) camera.fov = fov
+}
+
+/**
+ * 环变换的应用方式与AnimatedRings相同
+ */
+function applyRingTransform(node, { position, rotation, scale }) {
+  if (position) node.position.set(position.x, position.y, position.z)
+  if (rotation) {
+    if (rotation.w !== undefined) node.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
+    else node.rotation.set(rotation.x, rotation.y, rotation.z)
+  }
+  if (scale) node.scale.set(scale.x, scale.y, scale.z)
+}
+
+/**
+ * 追加四元数，与上一帧点积为负时取反，避免插值绕远路
+ */
+function pushQuaternion(values, quaternion) {
+  const offset = values.length - 4
+  const dot = offset >= 0
+    ? values[offset] * quaternion.x + values[offset + 1] * quaternion.y + values[offset + 2] * quaternion.z + values[offset + 3] * quaternion.w
+    : 1
+  const sign = dot < 0 ? -1 : 1
+  values.push(quaternion.x * sign, quaternion.y * sign, quaternion.z * sign, quaternion.w * sign)
+}
+
+/**
+ * 收集各环的几何体，与AnimatedRings渲染的内容相同：网格组各节点的几何体 + 清单中的环材质
+ * gltf为按名称索引了nodes和materials的v6模型（共享资源注册表中的结果），返回 { 环ID: { parts: [{ name, geometry }], material } }
+ */
+export function collectRingGeometry(gltf, manifest) {
+  const material = gltf.materials?.[manifest.model.material] || null
+  const ringGeometry = {}
+  Object.entries(manifest.rings).forEach(([ringId, ring]) => {
+    const parts = getMeshGroupNodes(gltf.nodes, ring.meshGroup)
+      .filter(({ node }) => node.geometry)
+      .map(({ name, node }) => ({ name, geometry: node.geometry }))
+    if (parts.length > 0) ringGeometry[ringId] = { parts, material }
+  })
+  return ringGeometry
+}
+
+/**
+ * 把烘焙结果写成glTF文档 { json, bin }
+ * 场景包含相机节点和各环节点（extras中记录环ID和v6网格组），由一个名为Timeline的动画驱动；
+ * 传入ringGeometry（见collectRingGeometry）时环节点下包含网格组的几何体和材质参数（不含纹理），否则为空节点
+ * 相机FOV通过 KHR_animation_pointer 动画化（不支持该扩展的引擎会忽略FOV通道）
+ */
+export function createTimelineGLTF(baked, { name = 'Timeline', ringGeometry = null } = {}) {
+  const chunks = []
+  let byteLength = 0
+  const json = {
+    asset: { version: '2.0', generator: 'fellou timeline baker' },
+    scene: 0,
+    scenes: [{ name, nodes: [] }],
+    nodes: [],
+    cameras: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+    animations: [{ name, samplers: [], channels: [] }],
+    extras: { fps: baked.fps, duration: baked.duration, segments: baked.segments }
+  }
+  const animation = json.animations[0]
+
+  // 每个访问器使用单独的bufferView；数据全部为4字节的float或uint32，无需额外对齐
+  const addAccessor = (values, type, { withBounds = false, target } = {}) => {
+    const array = ArrayBuffer.isView(values) ? values : new Float32Array(values)
+    const bufferView = { buffer: 0, byteOffset: byteLength, byteLength: array.byteLength }
+    if (target) bufferView.target = target
+    json.bufferViews.push(bufferView)
+    chunks.push(array)
+    byteLength += array.byteLength
+
+    const size = ACCESSOR_SIZES[type]
+    const accessor = {
+      bufferView: json.bufferViews.length - 1,
+      componentType: array instanceof Uint32Array ? COMPONENT_UNSIGNED_INT : COMPONENT_FLOAT,
+      count: array.length / size,
+      type
+    }
+    if (withBounds) {
+      accessor.min = Array(size).fill(Infinity)
+      accessor.max = Array(size).fill(-Infinity)
+      array.forEach((value, index) => {
+        accessor.min[index % size] = Math.min(accessor.min[index % size], value)
+        accessor.max[index % size] = Math.max(accessor.max[index % size], value)
+      })
+    }
+    json.accessors.push(accessor)
+    return json.accessors.length - 1
+  }
+
+  const input = addAccessor(baked.times, 'SCALAR', { withBounds: true })
+  const addChannel = (target, values, type) => {
+    animation.samplers.push({ input, output: addAccessor(values, type), interpolation: 'LINEAR' })
+    animation.channels.push({ sampler: animation.samplers.length - 1, target })
+  }
+  const addNode = (node, channels) => {
+    json.nodes.push(node)
+    const index = json.nodes.length - 1
+    json.scenes[0].nodes.push(index)
+    addChannel({ node: index, path: 'translation' }, channels.position, 'VEC3')
+    addChannel({ node: index, path: 'rotation' }, channels.quaternion, 'VEC4')
+    if (channels.scale) addChannel({ node: index, path: 'scale' }, channels.scale, 'VEC3')
+    return index
+  }
+
+  // 相机（glTF与three.js的相机都朝向 -Z，旋转可以直接使用）
+  const { camera } = baked
+  json.cameras.push({
+    type: 'perspective',
+    perspective: { yfov: THREE.MathUtils.degToRad(camera.fov[0]), znear: CAMERA_NEAR, zfar: CAMERA_FAR }
+  })
+  addNode({
+    name: BAKED_CAMERA_NAME,
+    camera: 0,
+    translation: camera.position.slice(0, 3),
+    rotation: camera.quaternion.slice(0, 4)
+  }, camera)
+
+  if (camera.fov.some(fov => fov !== camera.fov[0])) {
+    json.extensionsUsed = ['KHR_animation_pointer']
+    addChannel(
+      { path: 'pointer', extensions: { KHR_animation_pointer: { pointer: FOV_POINTER } } },
+      camera.fov.map(fov => THREE.MathUtils.degToRad(fov)),
+      'SCALAR'
+    )
+  }
+
+  // 环材质在各环之间共享，只写入一次
+  const materialIndices = new Map()
+  const addMaterial = (material) => {
+    if (!material) return undefined
+    if (!materialIndices.has(material)) {
+      json.materials = json.materials || []
+      json.materials.push(createMaterial(material))
+      materialIndices.set(material, json.materials.length - 1)
+    }
+    return materialIndices.get(material)
+  }
+
+  // 网格组的每个部件作为环节点的子节点（与AnimatedRings相同，部件使用单位变换）
+  const addRingParts = ({ parts, material }) => parts.map(({ name: partName, geometry }) => {
+    json.meshes = json.meshes || []
+    json.meshes.push({ name: partName, primitives: [createPrimitive(geometry, addAccessor, addMaterial(material))] })
+    json.nodes.push({ name: partName, mesh: json.meshes.length - 1 })
+    return json.nodes.length - 1
+  })
+
+  // 环
+  Object.entries(baked.rings).forEach(([ringId, ring]) => {
+    const geometry = ringGeometry?.[ringId]
+    const index = addNode({
+      name: ring.name,
+      translation: ring.position.slice(0, 3),
+      rotation: ring.quaternion.slice(0, 4),
+      scale: ring.scale.slice(0, 3),
+      extras: { ringId, meshGroup: ring.meshGroup }
+    }, ring)
+    if (geometry) json.nodes[index].children = addRingParts(geometry)
+  })
+
+  const bin = new Uint8Array(byteLength)
+  let offset = 0
+  chunks.forEach(array => {
+    bin.set(new Uint8Array(array.buffer), offset)
+    offset += array.byteLength
+  })
+  json.buffers.push({ byteLength })
+
+  return { json, bin }
+}
+
+/**
+ * 把BufferGeometry写成glTF图元：位置、法线、UV统一转换为float（兼容量化和交错的属性），索引转换为uint32
+ */
+function createPrimitive(geometry, addAccessor, material) {
+  const primitive = { attributes: {} }
+  Object.entries(VERTEX_ATTRIBUTES).forEach(([attributeName, threeName]) => {
+    const attribute = geometry.getAttribute(threeName)
+    if (!attribute) return
+
+    const itemSize = Math.min(attribute.itemSize, attributeName === 'TEXCOORD_0' ? 2 : 3)
+    const values = new Float32Array(attribute.count * itemSize)
+    for (let i = 0; i < attribute.count; i++) {
+      for (let component = 0; component < itemSize; component++) {
+        values[i * itemSize + component] = attribute[COMPONENT_GETTERS[component]](i)
+      }
+    }
+    primitive.attributes[attributeName] = addAccessor(values, itemSize === 2 ? 'VEC2' : 'VEC3', {
+      withBounds: attributeName === 'POSITION',
+      target: TARGET_ARRAY_BUFFER
+    })
+  })
+
+  if (geometry.index) {
+    primitive.indices = addAccessor(Uint32Array.from(geometry.index.array), 'SCALAR', { target: TARGET_ELEMENT_ARRAY_BUFFER })
+  }
+  if (material !== undefined) primitive.material = material
+  return primitive
+}
+
+/**
+ * 把three材质转换为glTF的PBR参数（纹理不导出）
+ */
+function createMaterial(material) {
+  const result = {
+    name: material.name || undefined,
+    pbrMetallicRoughness: {
+      baseColorFactor: [...(material.color ? material.color.toArray() : [1, 1, 1]), material.opacity ?? 1],
+      metallicFactor: material.metalness ?? 0,
+      roughnessFactor: material.roughness ?? 1
+    }
+  }
+  if (material.emissive) result.emissiveFactor = material.emissive.toArray()
+  if (material.transparent) result.alphaMode = 'BLEND'
+  if (material.side === THREE.DoubleSide) result.doubleSided = true
+  return result
+}
+
+/**
+ * 烘焙完整时间线并导出为GLB
+ * options: { fps, ringGeometry }，不传ringGeometry时环为空节点
+ */
+export function exportTimelineGLB(extractor, { ringGeometry = null, ...options } = {}) {
+  const { json, bin } = createTimelineGLTF(bakeTimeline(extractor, options), { ringGeometry })
+  return encodeGLB(json, bin)
+}
@@ -0,0 +1,88 @@
+import { TrackSampler } from './TrackSampler.js'
+
+/**
+ * 各轨道类型的通道名称
+ */
+export const TRACK_CHANNELS = {
+  position: ['x', 'y', 'z'],
+  scale: ['x', 'y', 'z'],
+  rotation: ['x', 'y', 'z'],
+  quaternion: ['x', 'y', 'z', 'w'],
+  fov: ['value']
+}
+
+const FLAT_EPSILON = 1e-6
+
+/**
+ * 获取处理后轨道的通道名称
+ */
+export function getTrackChannels(track) {
+  return TRACK_CHANNELS[track.type] || ['x', 'y', 'z']
+}
+
+/**
+ * 按轨道自身的插值方式均匀采样曲线（使用独立的采样器，不影响播放时的关键帧游标）
+ * range为 { start, end } 时只采样该时间窗口，纵轴范围仍包含全部关键帧（缩放时保持不变）
+ * 返回 { times, channels: { x: [...], ... }, min, max }
+ */
+export function sampleTrackCurves(track, sampleCount = 200, range = null) {
+  const channels = getTrackChannels(track)
+  const sampler = new TrackSampler(track, track.valueSize || channels.length)
+  const trackStart = track.times[0] ?? 0
+  const trackEnd = track.times[track.times.length - 1] ?? 0
+  const start = range ? Math.max(range.start, trackStart) : trackStart
+  const end = range ? Math.min(range.end, trackEnd) : trackEnd
+  const count = end > start ? sampleCount : 1
+
+  const result = { times: [], channels: {}, min: Infinity, max: -Infinity }
+  channels.forEach(channel => { result.channels[channel] = [] })
+
+  const output = sampler.createOutput()
+  for (let i = 0; i < count; i++) {
+    const time = count > 1 ? start + ((end - start) * i) / (count - 1) : start
+    sampler.sample(time, output)
+    result.times.push(time)
+    channels.forEach(channel => {
+      const value = output[channel]
+      result.channels[channel].push(value)
+      result.min = Math.min(result.min, value)
+      result.max = Math.max(result.max, value)
+    })
+  }
+
+  // 关键帧值也计入范围（STEP或超出采样点的尖峰）
+  track.keyframes.forEach(keyframe => {
+    channels.forEach(channel => {
+      result.min = Math.min(result.min, keyframe[channel])
+      result.max = Math.max(result.max, keyframe[channel])
+    })
+  })
+
+  return result
+}
+
+/**
+ * 查找相邻关键帧四元数符号翻转（点积为负）的位置，返回后一个关键帧的索引
+ */
+export function findQuaternionFlips(track) {
+  if (track.type !== 'quaternion') return []
+
+  const flips = []
+  for (let i = 1; i < track.keyframes.length; i++) {
+    const a = track.keyframes[i - 1]
+    const b = track.keyframes[i]
+    if (a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0) flips.push(i)
+  }
+  return flips
+}
+
+/**
+ * 轨道的所有关键帧是否相同（没有实际动画）
+ */
+export function isFlatTrack(track) {
+  const [first, ...rest] = track.keyframes
+  if (!first) return true
+
+  const channels = getTrackChannels(track)
+  return rest.every(keyframe => channels.every(channel => Math.abs(keyframe[channel] - first[channel]) < FLAT_EPSILON))
+}
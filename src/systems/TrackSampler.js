@@ -0,0 +1,231 @@
+import * as THREE from 'three'
+
+/**
+ * glTF采样器插值模式
+ */
+export const INTERPOLATION_MODES = {
+  STEP: 'STEP',
+  LINEAR: 'LINEAR',
+  CUBICSPLINE: 'CUBICSPLINE'
+}
+
+/**
+ * 从扁平数组中读取一个关键帧值（{ x, y, z }、{ x, y, z, w } 或 { value }）
+ */
+export function readKeyframeValue(values, offset, componentCount) {
+  if (componentCount === 4) {
+    return {
+      x: values[offset],
+      y: values[offset + 1],
+      z: values[offset + 2],
+      w: values[offset + 3]
+    }
+  } else if (componentCount === 1) {
+    return { value: values[offset] }
+  }
+  return {
+    x: values[offset],
+    y: values[offset + 1],
+    z: values[offset + 2]
+  }
+}
+
+/**
+ * 轨道采样器
+ * 每条处理后的轨道对应一个采样器：二分查找关键帧，缓存上一次的关键帧位置（顺序播放时O(1)），
+ * 并把结果写入调用方传入的对象，避免每帧分配新对象
+ */
+export class TrackSampler {
+  constructor(track, componentCount) {
+    this.times = track.times
+    this.values = track.values
+    this.componentCount = componentCount
+    this.interpolation = track.interpolation || INTERPOLATION_MODES.LINEAR
+
+    // CUBICSPLINE每个关键帧存储 [入切线, 值, 出切线]
+    const isCubic = this.interpolation === INTERPOLATION_MODES.CUBICSPLINE
+    this.stride = isCubic ? componentCount * 3 : componentCount
+    this.valueOffset = isCubic ? componentCount : 0
+
+    this.cursor = 0
+    this.q0 = new THREE.Quaternion()
+    this.q1 = new THREE.Quaternion()
+    this.buffer = new Float64Array(componentCount)
+  }
+
+  /**
+   * 创建与分量数匹配的输出对象
+   */
+  createOutput() {
+    if (this.componentCount === 4) return { x: 0, y: 0, z: 0, w: 1 }
+    if (this.componentCount === 1) return { value: 0 }
+    return { x: 0, y: 0, z: 0 }
+  }
+
+  /**
+   * 查找满足 times[i] <= time < times[i + 1] 的关键帧索引
+   * 先检查缓存的区间及其下一个区间，未命中时二分查找
+   */
+  findKeyframeIndex(time) {
+    const times = this.times
+    const last = times.length - 1
+
+    if (time <= times[0]) return 0
+    if (time >= times[last]) return last
+
+    const cursor = this.cursor
+    if (cursor < last) {
+      if (times[cursor] <= time && time < times[cursor + 1]) {
+        return cursor
+      }
+      if (cursor + 1 < last && times[cursor + 1] <= time && time < times[cursor + 2]) {
+        this.cursor = cursor + 1
+        return this.cursor
+      }
+    }
+
+    let low = 0
+    let high = last
+    while (high - low > 1) {
+      const mid = (low + high) >> 1
+      if (times[mid] <= time) {
+        low = mid
+      } else {
+        high = mid
+      }
+    }
+
+    this.cursor = low
+    return low
+  }
+
+  /**
+   * 在指定时间采样，结果写入target（不传时新建）
+   */
+  sample(time, target = this.createOutput()) {
+    const times = this.times
+    const last = times.length - 1
+
+    if (times.length === 0) {
+      return this.writeDefault(target)
+    }
+
+    const index = this.findKeyframeIndex(time)
+
+    // 在第一个关键帧之前、最后一个关键帧，或STEP模式下保持当前关键帧的值
+    if (time <= times[0] || index === last || this.interpolation === INTERPOLATION_MODES.STEP) {
+      return this.writeKeyframe(index * this.stride + this.valueOffset, target)
+    }
+
+    const t0 = times[index]
+    const duration = times[index + 1] - t0
+    const factor = duration > 0 ? (time - t0) / duration : 0
+
+    if (this.interpolation === INTERPOLATION_MODES.CUBICSPLINE) {
+      return this.writeCubicSpline(index, factor, duration, target)
+    }
+    return this.writeLinear(index, factor, target)
+  }
+
+  writeDefault(target) {
+    if (this.componentCount === 1) {
+      target.value = 0
+      return target
+    }
+    target.x = 0
+    target.y = 0
+    target.z = 0
+    if (this.componentCount === 4) target.w = 1
+    return target
+  }
+
+  writeKeyframe(offset, target) {
+    const values = this.values
+    if (this.componentCount === 1) {
+      target.value = values[offset]
+      return target
+    }
+    target.x = values[offset]
+    target.y = values[offset + 1]
+    target.z = values[offset + 2]
+    if (this.componentCount === 4) target.w = values[offset + 3]
+    return target
+  }
+
+  /**
+   * 线性插值，四元数使用slerp
+   */
+  writeLinear(index, factor, target) {
+    const values = this.values
+    const start = index * this.stride
+    const end = start + this.stride
+
+    if (this.componentCount === 4) {
+      this.q0.fromArray(values, start).slerp(this.q1.fromArray(values, end), factor)
+      target.x = this.q0.x
+      target.y = this.q0.y
+      target.z = this.q0.z
+      target.w = this.q0.w
+      return target
+    }
+
+    if (this.componentCount === 1) {
+      target.value = values[start] + (values[end] - values[start]) * factor
+      return target
+    }
+
+    target.x = values[start] + (values[end] - values[start]) * factor
+    target.y = values[start + 1] + (values[end + 1] - values[start + 1]) * factor
+    target.z = values[start + 2] + (values[end + 2] - values[start + 2]) * factor
+    return target
+  }
+
+  /**
+   * glTF三次Hermite样条插值
+   * 关键帧布局: [入切线_k, 值_k, 出切线_k, 入切线_k+1, 值_k+1, ...]，切线需乘以关键帧间隔
+   */
+  writeCubicSpline(index, factor, duration, target) {
+    const values = this.values
+    const size = this.componentCount
+    const start = index * this.stride
+    const end = start + this.stride
+
+    const p = factor
+    const pp = p * p
+    const ppp = pp * p
+
+    const s2 = -2 * ppp + 3 * pp
+    const s3 = ppp - pp
+    const s0 = 1 - s2
+    const s1 = s3 - pp + p
+
+    const buffer = this.buffer
+    for (let i = 0; i < size; i++) {
+      const p0 = values[start + size + i]              // 值_k
+      const m0 = values[start + size * 2 + i] * duration // 出切线_k
+      const p1 = values[end + size + i]                // 值_k+1
+      const m1 = values[end + i] * duration             // 入切线_k+1
+      buffer[i] = s0 * p0 + s1 * m0 + s2 * p1 + s3 * m1
+    }
+
+    if (size === 1) {
+      target.value = buffer[0]
+      return target
+    }
+
+    if (size === 4) {
+      // 三次插值后的四元数需要重新归一化
+      this.q0.fromArray(buffer).normalize()
+      target.x = this.q0.x
+      target.y = this.q0.y
+      target.z = this.q0.z
+      target.w = this.q0.w
+      return target
+    }
+
+    target.x = buffer[0]
+    target.y = buffer[1]
+    target.z = buffer[2]
+    return target
+  }
+}
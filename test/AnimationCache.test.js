@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  serializeAnimationData,
+  deserializeAnimationData,
+  findStaleCacheSources,
+  ANIMATION_CACHE_FORMAT,
+  ANIMATION_CACHE_VERSION
+} from '../src/systems/AnimationCache.js'
+import { INTERPOLATION_MODES } from '../src/systems/TrackSampler.js'
+
+const manifest = {
+  sources: [
+    { id: 'intro', role: 'intro', url: '/intro.glb', objectName: 'Camera' },
+    { id: 'ring1', role: 'ring', url: '/ring1.glb', objectName: 'Ring1', ring: 'ring1' }
+  ]
+}
+
+// 取值都能被Float32精确表示，往返后应完全相等
+function createAnimationData() {
+  const position = {
+    times: [0, 0.5, 1],
+    values: [0, 0, 0, 1, 2, 3, -4, 0.25, 8],
+    keyframes: [{ x: 0, y: 0, z: 0 }, { x: 1, y: 2, z: 3 }, { x: -4, y: 0.25, z: 8 }],
+    interpolation: INTERPOLATION_MODES.LINEAR,
+    valueSize: 3,
+    type: 'vector'
+  }
+  const rotation = {
+    times: [0, 1],
+    // CUBICSPLINE：每个关键帧 [入切线, 值, 出切线]
+    values: [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0],
+    keyframes: [{ x: 0, y: 0, z: 0, w: 1 }, { x: 0, y: 1, z: 0, w: 0 }],
+    interpolation: INTERPOLATION_MODES.CUBICSPLINE,
+    valueSize: 4,
+    type: 'quaternion'
+  }
+  const fov = {
+    times: [0, 2],
+    values: [50, 35],
+    keyframes: [{ value: 50 }, { value: 35 }],
+    interpolation: INTERPOLATION_MODES.STEP,
+    valueSize: 1,
+    type: 'number'
+  }
+
+  return {
+    v6Original: {
+      duration: 2,
+      metadata: { name: 'v6' },
+      rings: { ring1: { position, rotation: null, scale: null } }
+    },
+    camera: { position, rotation, fov, name: 'Camera' },
+    rings: { ring1: { position, rotation, scale: null, name: 'Ring1' }, ring2: null }
+  }
+}
+
+describe('AnimationCache', () => {
+  it('round-trips animation data through JSON', () => {
+    const animationData = createAnimationData()
+    const cache = JSON.parse(JSON.stringify(serializeAnimationData(animationData, { manifest })))
+
+    assert.equal(cache.format, ANIMATION_CACHE_FORMAT)
+    assert.equal(cache.version, ANIMATION_CACHE_VERSION)
+    assert.deepEqual(deserializeAnimationData(cache), animationData)
+  })
+
+  it('records the manifest sources', () => {
+    const cache = serializeAnimationData(createAnimationData(), { manifest })
+    assert.deepEqual(cache.sources, [
+      { id: 'intro', role: 'intro', url: '/intro.glb', objectName: 'Camera' },
+      { id: 'ring1', role: 'ring', url: '/ring1.glb', objectName: 'Ring1' }
+    ])
+  })
+
+  it('rejects other files and versions', () => {
+    assert.throws(() => deserializeAnimationData({ format: 'other' }), /Not an animation cache file/)
+    assert.throws(
+      () => deserializeAnimationData({ format: ANIMATION_CACHE_FORMAT, version: ANIMATION_CACHE_VERSION + 1 }),
+      /Unsupported animation cache version/
+    )
+  })
+
+  it('finds sources that changed since the cache was baked', () => {
+    const cache = serializeAnimationData(createAnimationData(), { manifest })
+    assert.deepEqual(findStaleCacheSources(cache, manifest), [])
+
+    const changed = {
+      sources: [
+        { ...manifest.sources[0], url: '/intro-v2.glb' },
+        manifest.sources[1],
+        { id: 'ring2', role: 'ring', url: '/ring2.glb', objectName: 'Ring2', ring: 'ring2' }
+      ]
+    }
+    assert.deepEqual(findStaleCacheSources(cache, changed), ['intro', 'ring2'])
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { AnimationTimeline, SEGMENT_BEHAVIORS, CLIP_DURATION } from '../src/systems/AnimationTimeline.js'
+
+// 与默认清单相同的结构：开场(clip) → 过渡(2s hold) → 主片段(clip)
+function createTimeline() {
+  const timeline = new AnimationTimeline([
+    { id: 'intro', duration: CLIP_DURATION, behavior: SEGMENT_BEHAVIORS.LOOP },
+    { id: 'transition', duration: 2, behavior: SEGMENT_BEHAVIORS.HOLD, holdAt: 'end' },
+    { id: 'main', duration: CLIP_DURATION, behavior: SEGMENT_BEHAVIORS.LOOP }
+  ])
+  const clipDurations = { intro: 4, transition: 4, main: 6 }
+  timeline.resolve(definition => clipDurations[definition.id])
+  return timeline
+}
+
+describe('AnimationTimeline.getClipTime', () => {
+  it('wraps looping segments', () => {
+    const segment = { behavior: SEGMENT_BEHAVIORS.LOOP, duration: 10 }
+    assert.equal(AnimationTimeline.getClipTime(segment, 2.5, 4), 2.5)
+    assert.equal(AnimationTimeline.getClipTime(segment, 5, 4), 1)
+    assert.equal(AnimationTimeline.getClipTime(segment, -1, 4), 3)
+  })
+
+  it('holds the last clip frame when a looping segment ends on a loop boundary', () => {
+    const segment = { behavior: SEGMENT_BEHAVIORS.LOOP, duration: 8 }
+    assert.equal(AnimationTimeline.getClipTime(segment, 8, 4), 4)
+    assert.equal(AnimationTimeline.getClipTime(segment, 4, 4), 0)
+    assert.equal(AnimationTimeline.getClipTime(segment, 0, 4), 0)
+  })
+
+  it('clamps once segments to the clip', () => {
+    const segment = { behavior: SEGMENT_BEHAVIORS.ONCE, duration: 10 }
+    assert.equal(AnimationTimeline.getClipTime(segment, 1.5, 4), 1.5)
+    assert.equal(AnimationTimeline.getClipTime(segment, 7, 4), 4)
+    assert.equal(AnimationTimeline.getClipTime(segment, -1, 4), 0)
+  })
+
+  it('holds at the start, the end or a given time', () => {
+    const hold = holdAt => ({ behavior: SEGMENT_BEHAVIORS.HOLD, duration: 2, holdAt })
+    assert.equal(AnimationTimeline.getClipTime(hold('start'), 1, 4), 0)
+    assert.equal(AnimationTimeline.getClipTime(hold('end'), 1, 4), 4)
+    assert.equal(AnimationTimeline.getClipTime(hold(undefined), 1, 4), 4)
+    assert.equal(AnimationTimeline.getClipTime(hold(1.25), 0, 4), 1.25)
+    assert.equal(AnimationTimeline.getClipTime(hold(9), 0, 4), 4)
+  })
+
+  it('returns 0 for clips without duration', () => {
+    assert.equal(AnimationTimeline.getClipTime({ behavior: SEGMENT_BEHAVIORS.LOOP, duration: 2 }, 1, 0), 0)
+  })
+})
+
+describe('AnimationTimeline.getSegmentAtTime', () => {
+  it('resolves clip durations into consecutive segments', () => {
+    const timeline = createTimeline()
+    assert.deepEqual(timeline.getSegments().map(({ start, end }) => [start, end]), [[0, 4], [4, 6], [6, 12]])
+    assert.equal(timeline.getDuration(), 12)
+  })
+
+  it('finds the segment and the time inside it', () => {
+    const timeline = createTimeline()
+    const { id, phaseTime, isLast } = timeline.getSegmentAtTime(5)
+    assert.equal(id, 'transition')
+    assert.equal(phaseTime, 1)
+    assert.equal(isLast, false)
+  })
+
+  it('keeps a boundary time in the segment that ends there', () => {
+    const timeline = createTimeline()
+    const { id, segment, phaseTime } = timeline.getSegmentAtTime(4)
+    assert.equal(id, 'intro')
+    assert.equal(AnimationTimeline.getClipTime(segment, phaseTime, segment.clipDuration), 4)
+  })
+
+  it('holds the last frame at and past the end of the timeline', () => {
+    const timeline = createTimeline()
+    for (const time of [12, 15]) {
+      const { id, segment, phaseTime } = timeline.getSegmentAtTime(time)
+      assert.equal(id, 'main')
+      assert.equal(phaseTime, 6)
+      assert.equal(AnimationTimeline.getClipTime(segment, phaseTime, segment.clipDuration), 6)
+    }
+  })
+
+  it('uses the fallback duration when a clip is missing', () => {
+    const timeline = new AnimationTimeline([{ id: 'intro', duration: CLIP_DURATION, fallbackDuration: 7 }])
+    timeline.resolve(() => 0)
+    assert.equal(timeline.getDuration(), 7)
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  advancePlayback,
+  getPlaybackRange,
+  getRestartTime,
+  LOOP_MODES,
+  DEFAULT_PLAYBACK_SETTINGS
+} from '../src/systems/Playback.js'
+
+const DURATION = 10
+
+function settings(overrides) {
+  return { ...DEFAULT_PLAYBACK_SETTINGS, ...overrides }
+}
+
+describe('advancePlayback', () => {
+  it('scales the step by the playback rate', () => {
+    assert.deepEqual(advancePlayback(2, 1, 1, settings({ rate: 0.5 }), DURATION), { time: 2.5, direction: 1, ended: false })
+  })
+
+  it('wraps around both ends in loop mode', () => {
+    assert.deepEqual(advancePlayback(9, 2, 1, settings(), DURATION), { time: 1, direction: 1, ended: false })
+    assert.deepEqual(advancePlayback(9, 1, 1, settings(), DURATION), { time: 0, direction: 1, ended: false })
+    assert.deepEqual(advancePlayback(1, 2, 1, settings({ rate: -1 }), DURATION), { time: 9, direction: 1, ended: false })
+  })
+
+  it('plays in reverse with a negative rate', () => {
+    assert.deepEqual(advancePlayback(5, 1, 1, settings({ rate: -2 }), DURATION), { time: 3, direction: 1, ended: false })
+  })
+
+  it('stops at the end in once mode', () => {
+    const once = settings({ loopMode: LOOP_MODES.ONCE })
+    assert.deepEqual(advancePlayback(8, 1, 1, once, DURATION), { time: 9, direction: 1, ended: false })
+    assert.deepEqual(advancePlayback(9.5, 1, 1, once, DURATION), { time: 10, direction: 1, ended: true })
+
+    const reverse = settings({ loopMode: LOOP_MODES.ONCE, rate: -1 })
+    assert.deepEqual(advancePlayback(0.5, 1, 1, reverse, DURATION), { time: 0, direction: 1, ended: true })
+  })
+
+  it('flips direction at both ends in ping-pong mode', () => {
+    const pingPong = settings({ loopMode: LOOP_MODES.PING_PONG })
+
+    const atEnd = advancePlayback(9, 2, 1, pingPong, DURATION)
+    assert.deepEqual(atEnd, { time: 9, direction: -1, ended: false })
+
+    const back = advancePlayback(atEnd.time, 2, atEnd.direction, pingPong, DURATION)
+    assert.deepEqual(back, { time: 7, direction: -1, ended: false })
+
+    assert.deepEqual(advancePlayback(1, 2, -1, pingPong, DURATION), { time: 1, direction: 1, ended: false })
+  })
+
+  it('stays inside the A/B range', () => {
+    const range = settings({ loopRange: { start: 2, end: 4 } })
+    assert.deepEqual(advancePlayback(3.5, 1, 1, range, DURATION), { time: 2.5, direction: 1, ended: false })
+
+    const pingPong = settings({ loopMode: LOOP_MODES.PING_PONG, loopRange: { start: 2, end: 4 } })
+    assert.deepEqual(advancePlayback(3.5, 1, 1, pingPong, DURATION), { time: 3.5, direction: -1, ended: false })
+
+    const once = settings({ loopMode: LOOP_MODES.ONCE, loopRange: { start: 2, end: 4 } })
+    assert.deepEqual(advancePlayback(3.5, 1, 1, once, DURATION), { time: 4, direction: 1, ended: true })
+  })
+
+  it('holds at the start of an empty range', () => {
+    const empty = settings({ loopRange: { start: 3, end: 3 } })
+    assert.deepEqual(advancePlayback(3, 1, 1, empty, DURATION), { time: 3, direction: 1, ended: false })
+  })
+})
+
+describe('getPlaybackRange', () => {
+  it('uses the whole timeline without an A/B range', () => {
+    assert.deepEqual(getPlaybackRange(settings(), DURATION), { start: 0, end: DURATION })
+  })
+
+  it('clamps the A/B range to the timeline', () => {
+    assert.deepEqual(getPlaybackRange(settings({ loopRange: { start: -1, end: 12 } }), DURATION), { start: 0, end: 10 })
+    assert.deepEqual(getPlaybackRange(settings({ loopRange: { start: 6, end: 4 } }), DURATION), { start: 6, end: 6 })
+  })
+})
+
+describe('getRestartTime', () => {
+  it('restarts a finished once playback from the other end of the range', () => {
+    const once = settings({ loopMode: LOOP_MODES.ONCE, loopRange: { start: 2, end: 4 } })
+    assert.equal(getRestartTime(4, once, DURATION), 2)
+    assert.equal(getRestartTime(2, { ...once, rate: -1 }, DURATION), 4)
+    assert.equal(getRestartTime(3, once, DURATION), 3)
+    assert.equal(getRestartTime(10, settings(), DURATION), 10)
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { TrackSampler, INTERPOLATION_MODES } from '../src/systems/TrackSampler.js'
+
+const EPSILON = 1e-9
+
+function assertClose(actual, expected, epsilon = EPSILON) {
+  Object.keys(expected).forEach(key => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < epsilon, `${key}: ${actual[key]} != ${expected[key]}`)
+  })
+}
+
+function createSampler(times, values, interpolation, componentCount) {
+  return new TrackSampler({ times, values, interpolation }, componentCount)
+}
+
+describe('TrackSampler', () => {
+  it('holds keyframe values in STEP mode', () => {
+    const sampler = createSampler([0, 1, 2], [0, 0, 0, 1, 2, 3, 4, 5, 6], INTERPOLATION_MODES.STEP, 3)
+    assertClose(sampler.sample(0.99), { x: 0, y: 0, z: 0 })
+    assertClose(sampler.sample(1), { x: 1, y: 2, z: 3 })
+    assertClose(sampler.sample(1.5), { x: 1, y: 2, z: 3 })
+    assertClose(sampler.sample(5), { x: 4, y: 5, z: 6 })
+  })
+
+  it('interpolates vectors and scalars linearly', () => {
+    const vector = createSampler([0, 2], [0, 0, 0, 2, 4, -6], INTERPOLATION_MODES.LINEAR, 3)
+    assertClose(vector.sample(0.5), { x: 0.5, y: 1, z: -1.5 })
+
+    const scalar = createSampler([1, 3], [10, 20], INTERPOLATION_MODES.LINEAR, 1)
+    assertClose(scalar.sample(2), { value: 15 })
+  })
+
+  it('clamps before the first and after the last keyframe', () => {
+    const sampler = createSampler([1, 3], [10, 20], INTERPOLATION_MODES.LINEAR, 1)
+    assertClose(sampler.sample(0), { value: 10 })
+    assertClose(sampler.sample(4), { value: 20 })
+  })
+
+  it('slerps quaternions', () => {
+    const half = Math.SQRT1_2
+    // 绕Y轴 0° → 90°，中点为45°
+    const sampler = createSampler([0, 1], [0, 0, 0, 1, 0, half, 0, half], INTERPOLATION_MODES.LINEAR, 4)
+    const angle = Math.PI / 8
+    assertClose(sampler.sample(0.5), { x: 0, y: Math.sin(angle), z: 0, w: Math.cos(angle) })
+  })
+
+  it('evaluates glTF cubic splines with tangents scaled by the keyframe interval', () => {
+    // [入切线, 值, 出切线]：值 0 → 1，切线为0时中点为0.5
+    const flat = createSampler([0, 2], [0, 0, 0, 0, 1, 0], INTERPOLATION_MODES.CUBICSPLINE, 1)
+    assertClose(flat.sample(1), { value: 0.5 })
+    assertClose(flat.sample(2), { value: 1 })
+
+    // 切线为1时 f(t) = t，对应 p(s) = 2s，间隔为2
+    const straight = createSampler([0, 2], [1, 0, 1, 1, 2, 1], INTERPOLATION_MODES.CUBICSPLINE, 1)
+    assertClose(straight.sample(0.5), { value: 0.5 })
+    assertClose(straight.sample(1.5), { value: 1.5 })
+  })
+
+  it('normalizes cubic spline quaternions', () => {
+    const half = Math.SQRT1_2
+    const sampler = createSampler(
+      [0, 1],
+      [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, half, 0, half, 0, 0, 0, 0],
+      INTERPOLATION_MODES.CUBICSPLINE,
+      4
+    )
+    const { x, y, z, w } = sampler.sample(0.5)
+    assert.ok(Math.abs(Math.hypot(x, y, z, w) - 1) < EPSILON)
+  })
+
+  it('writes into the given target', () => {
+    const sampler = createSampler([0, 1], [0, 0, 0, 1, 1, 1], INTERPOLATION_MODES.LINEAR, 3)
+    const target = sampler.createOutput()
+    assert.equal(sampler.sample(0.25, target), target)
+    assertClose(target, { x: 0.25, y: 0.25, z: 0.25 })
+  })
+
+  it('returns defaults for empty tracks', () => {
+    const sampler = createSampler([], [], INTERPOLATION_MODES.LINEAR, 4)
+    assert.deepEqual(sampler.sample(1), { x: 0, y: 0, z: 0, w: 1 })
+  })
+})
+
+describe('TrackSampler keyframe cursor', () => {
+  const times = [0, 1, 2, 3, 4, 5]
+  const values = [0, 10, 20, 30, 40, 50]
+
+  it('advances the cursor while playing forward', () => {
+    const sampler = createSampler(times, values, INTERPOLATION_MODES.LINEAR, 1)
+    for (let time = 0; time < 5; time += 0.25) {
+      assertClose(sampler.sample(time), { value: time * 10 })
+      assert.equal(sampler.cursor, Math.floor(time))
+    }
+  })
+
+  it('stays correct after seeking backward or skipping keyframes', () => {
+    const sampler = createSampler(times, values, INTERPOLATION_MODES.LINEAR, 1)
+    assertClose(sampler.sample(4.5), { value: 45 })
+    assert.equal(sampler.cursor, 4)
+
+    assertClose(sampler.sample(0.5), { value: 5 })
+    assert.equal(sampler.cursor, 0)
+
+    assertClose(sampler.sample(3.25), { value: 32.5 })
+    assert.equal(sampler.cursor, 3)
+
+    assertClose(sampler.sample(2), { value: 20 })
+    assert.equal(sampler.cursor, 2)
+  })
+
+  it('matches a fresh sampler at every time', () => {
+    const reused = createSampler(times, values, INTERPOLATION_MODES.STEP, 1)
+    ;[3.5, 1.2, 4.9, 0, 2.7, 2.7, 5, 0.1].forEach(time => {
+      const fresh = createSampler(times, values, INTERPOLATION_MODES.STEP, 1)
+      assert.deepEqual(reused.sample(time), fresh.sample(time))
+    })
+  })
+})